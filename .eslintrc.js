@@ -11,5 +11,11 @@ module.exports = {
     "no-constant-condition": ["error", { "checkLoops": false }]
   },
   extends: ['eslint:recommended', 'prettier'],
-  globals: { WorkerGlobalScope: true },
+  globals: { WorkerGlobalScope: true, ServiceWorkerGlobalScope: true },
+  overrides: [
+    {
+      files: ['src/node/**/*.js'],
+      env: { node: true },
+    },
+  ],
 };
@@ -1,3 +1,15 @@
+import { getUid } from 'ol/util';
 import LayerMock from './base';
 
-export default class TileLayerMock extends LayerMock {}
+export default class TileLayerMock extends LayerMock {
+  getRenderer() {
+    const source = this.getSource();
+    return {
+      ...super.getRenderer(),
+      // like the actual renderer, enqueue the tiles to load for the source
+      renderFrame(frameState) {
+        frameState.tileQueue._enqueueTiles(getUid(source));
+      },
+    };
+  }
+}
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+const { promisify } = require('util');
+const yargs = require('yargs');
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_PARTIAL = 2;
+
+const FORMATS = ['png', 'jpeg', 'pdf'];
+const POINTS_PER_INCH = 72;
+const CM_PER_INCH = 2.54;
+
+// UTILS
+
+function loadModule(name, hint) {
+  try {
+    return require(name);
+  } catch (error) {
+    console.error(`[inkmap] Could not load ${name}: ${hint}`);
+    process.exit(EXIT_FAILURE);
+  }
+}
+
+// yargs parses a lone `-` positional as an empty string
+async function readSpec(specPath) {
+  const json =
+    !specPath || specPath === '-'
+      ? await readStream(process.stdin)
+      : await promisify(fs.readFile)(specPath, 'utf8');
+  return JSON.parse(json);
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => (data += chunk));
+    stream.on('end', () => resolve(data));
+    stream.on('error', reject);
+  });
+}
+
+function getFormat(format, output) {
+  if (format) {
+    return format;
+  }
+  const extension = path.extname(output).toLowerCase();
+  if (extension === '.jpg' || extension === '.jpeg') {
+    return 'jpeg';
+  }
+  if (extension === '.pdf') {
+    return 'pdf';
+  }
+  return 'png';
+}
+
+// size of the printed map in points, for PDF pages
+function getPageSize(spec, image) {
+  const [width, height, unit] = spec.size;
+  const dpi = spec.dpi || 96;
+  const factors = {
+    in: POINTS_PER_INCH,
+    cm: POINTS_PER_INCH / CM_PER_INCH,
+    mm: POINTS_PER_INCH / CM_PER_INCH / 10,
+    m: (POINTS_PER_INCH * 100) / CM_PER_INCH,
+  };
+  if (unit in factors) {
+    return [width * factors[unit], height * factors[unit]];
+  }
+  return [
+    (image.width * POINTS_PER_INCH) / dpi,
+    (image.height * POINTS_PER_INCH) / dpi,
+  ];
+}
+
+function loadImage(canvas, buffer) {
+  return new Promise((resolve, reject) => {
+    const image = new canvas.Image();
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+    image.src = buffer;
+  });
+}
+
+// encodes the PNG images given by the printer in the requested format; PDF
+// documents have one page per image, other formats one file per image
+async function encodeImages(canvas, spec, buffers, format) {
+  if (format === 'png') {
+    return buffers;
+  }
+  const images = await Promise.all(
+    buffers.map((buffer) => loadImage(canvas, buffer))
+  );
+  if (format === 'jpeg') {
+    return images.map((image) => {
+      const context = canvas
+        .createCanvas(image.width, image.height)
+        .getContext('2d');
+      // JPEG images have no transparency
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, image.width, image.height);
+      context.drawImage(image, 0, 0);
+      return context.canvas.toBuffer('image/jpeg');
+    });
+  }
+  const pageSizes = images.map((image) => getPageSize(spec, image));
+  const context = canvas
+    .createCanvas(pageSizes[0][0], pageSizes[0][1], 'pdf')
+    .getContext('2d');
+  images.forEach((image, index) => {
+    const [width, height] = pageSizes[index];
+    if (index > 0) {
+      context.addPage(width, height);
+    }
+    context.drawImage(image, 0, 0, width, height);
+  });
+  return [context.canvas.toBuffer()];
+}
+
+// atlas images are written to numbered files, e.g. `map-1.png`
+function getOutputPaths(output, count) {
+  if (count === 1) {
+    return [output];
+  }
+  const extension = path.extname(output);
+  const base = output.slice(0, output.length - extension.length);
+  return Array.from(
+    { length: count },
+    (value, index) => `${base}-${index + 1}${extension}`
+  );
+}
+
+async function writeOutputs(output, buffers) {
+  if (output === '-') {
+    buffers.forEach((buffer) => process.stdout.write(buffer));
+    return;
+  }
+  const paths = getOutputPaths(output, buffers.length);
+  await Promise.all(
+    paths.map((outputPath, index) =>
+      promisify(fs.writeFile)(outputPath, buffers[index])
+    )
+  );
+  paths.forEach((outputPath) => console.error(`[inkmap] Wrote ${outputPath}`));
+}
+
+function createProgressReporter(quiet) {
+  let lastPercent = -1;
+  return (status) => {
+    const percent = Math.floor(status.progress * 100);
+    if (quiet || percent === lastPercent) {
+      return;
+    }
+    lastPercent = percent;
+    if (process.stderr.isTTY) {
+      process.stderr.write(`\r[inkmap] Printing... ${percent}%`);
+      if (percent === 100) {
+        process.stderr.write('\n');
+      }
+    } else if (percent % 10 === 0) {
+      console.error(`[inkmap] Printing... ${percent}%`);
+    }
+  };
+}
+
+// RENDER COMMAND
+
+async function render(argv) {
+  const inkmap = loadModule(
+    path.resolve(__dirname, '../dist/inkmap-node.js'),
+    'build it first with `npm run build:node`'
+  );
+  const canvas = loadModule(
+    'canvas',
+    'install node-canvas with `npm install canvas`'
+  );
+  inkmap.setCanvasProvider(canvas);
+
+  const spec = await readSpec(argv.spec);
+  const format = getFormat(argv.format, argv.output);
+  // the images of an atlas could not be told apart on stdout
+  if (
+    argv.output === '-' &&
+    format !== 'pdf' &&
+    Array.isArray(spec.pages) &&
+    spec.pages.length > 1
+  ) {
+    throw new Error(
+      `An atlas cannot be written to stdout in ${format}; use an output file or the pdf format`
+    );
+  }
+  const reportProgress = createProgressReporter(argv.quiet);
+  let lastStatus = null;
+
+  const result = await inkmap.renderSpec(spec, {
+    onStatus: (status) => {
+      lastStatus = status;
+      reportProgress(status);
+    },
+  });
+  const buffers = await encodeImages(
+    canvas,
+    spec,
+    Array.isArray(result) ? result : [result],
+    format
+  );
+  await writeOutputs(argv.output, buffers);
+
+  const sourceLoadErrors = lastStatus ? lastStatus.sourceLoadErrors : [];
+  sourceLoadErrors.forEach((error) =>
+    console.error(
+      `[inkmap] Warning: ${
+        error.timedOut ? 'timed out loading' : 'could not load'
+      } ${error.url}${
+        error.page !== undefined ? ` on page ${error.page + 1}` : ''
+      }`
+    )
+  );
+  return sourceLoadErrors.length ? EXIT_PARTIAL : EXIT_SUCCESS;
+}
+
+function run() {
+  return yargs
+    .scriptName('inkmap')
+    .usage('$0 <command> [options]')
+    .command(
+      'render [spec]',
+      'Render a print spec to a file',
+      (command) =>
+        command
+          .positional('spec', {
+            describe: 'Path of the JSON print spec; omit it or use - for stdin',
+            type: 'string',
+          })
+          .option('output', {
+            alias: 'o',
+            describe:
+              'Output file, numbered for an atlas in PNG or JPEG; use - for stdout, except for such an atlas',
+            type: 'string',
+            demandOption: true,
+          })
+          .option('format', {
+            alias: 'f',
+            describe: 'Output format; defaults to the output file extension',
+            choices: FORMATS,
+          })
+          .option('quiet', {
+            alias: 'q',
+            describe: 'Do not report the progress',
+            type: 'boolean',
+            default: false,
+          }),
+      (argv) =>
+        render(argv).then(
+          (exitCode) => process.exit(exitCode),
+          (error) => {
+            console.error(
+              `[inkmap] Print failed: ${error.message}${
+                error.path && !error.message.includes(error.path)
+                  ? ` (${error.path})`
+                  : ''
+              }`
+            );
+            process.exit(EXIT_FAILURE);
+          }
+        )
+    )
+    .demandCommand(1)
+    .strict()
+    .epilogue(
+      'Exit codes: 0 on success, 1 on failure, 2 if some sources could not be loaded'
+    )
+    .help().argv;
+}
+
+// the functions are exported for the tests
+if (require.main === module) {
+  run();
+} else {
+  module.exports = { getFormat, getOutputPaths, getPageSize, render };
+}
@@ -0,0 +1,3 @@
+// Node.js entry point: the `src/node` module bundled with its dependencies,
+// built with `npm run build:node`
+module.exports = require('./dist/inkmap-node.js');
@@ -1,40 +1,27 @@
-import { fromEvent } from 'rxjs';
-import { pluck, switchMap, tap } from 'rxjs/operators';
-import { from } from 'rxjs';
-import { printerReady } from './utils';
+import { defer } from 'rxjs';
+import { switchMap, tap } from 'rxjs/operators';
+import { getPrinter } from './utils';
 
 /**
  * Sends a message to the printer thread
  * @param {string} type Message type, described by a MESSAGE_JOB_* constant.
  * @param {Object} [message] Message object.
+ * @return {Promise<void>} Resolves once sent, or rejects if the message could
+ * not be sent, e.g. because a worker cannot receive some of its values.
  */
 export function messageToPrinter(type, message) {
-  printerReady.then((useWorker) => {
-    if (useWorker) {
-      navigator.serviceWorker.controller.postMessage({
-        ...message,
-        type,
-      });
-    } else {
-      window.dispatchEvent(
-        new CustomEvent('inkmap.toPrinter', {
-          detail: {
-            ...message,
-            type,
-          },
-        })
-      );
-    }
-  });
+  return getPrinter().then((printer) =>
+    printer.postMessage({
+      ...message,
+      type,
+    })
+  );
 }
 
-export const messageToMain$ = from(printerReady).pipe(
-  switchMap((useWorker) => {
-    const events$ = useWorker
-      ? fromEvent(navigator.serviceWorker, 'message').pipe(pluck('data'))
-      : fromEvent(window, 'inkmap.toMain').pipe(pluck('detail'));
-    return events$.pipe(
+export const messageToMain$ = defer(() => getPrinter()).pipe(
+  switchMap((printer) =>
+    printer.messages$.pipe(
       tap((message) => console.log('message to main:', message))
-    );
-  })
+    )
+  )
 );
@@ -1,16 +1,63 @@
-import { map, switchMap, take, takeWhile } from 'rxjs/operators';
+import { from, merge } from 'rxjs';
+import {
+  filter,
+  ignoreElements,
+  map,
+  switchMap,
+  take,
+  takeUntil,
+  takeWhile,
+  tap,
+} from 'rxjs/operators';
 
 import '../printer';
-import { MESSAGE_JOB_REQUEST } from '../shared/constants';
+import {
+  MESSAGE_JOB_CANCEL,
+  MESSAGE_JOB_PAUSE,
+  MESSAGE_JOB_REQUEST,
+  MESSAGE_JOB_RESUME,
+  MESSAGE_JOBS_BROADCAST,
+  MESSAGE_PRINTER_OPTIONS,
+} from '../shared/constants';
+import { deserializeError } from '../shared/errors';
+import { isJobOver } from '../shared/jobs';
+import { migrateSpec } from '../shared/migrations';
 import { registerWithExtent } from '../shared/projections';
+import {
+  clearStoredJobs,
+  readStoredJobResult,
+  readStoredJobs,
+} from '../shared/storage';
+import {
+  getSpecError,
+  getWorkerOptionsError,
+  getWorkerSpecError,
+  validateSpec,
+} from '../shared/validation';
 import { messageToPrinter } from './exchange';
+import { setInterceptor } from './interceptor';
 import {
   getJobsStatusObservable,
   getJobStatusObservable,
-  newJob$,
+  getRequestedJobObservable,
 } from './jobs';
+import {
+  createAbortError,
+  fromAbortSignal,
+  generateRequestId,
+  getPrinter,
+  initPrinter,
+} from './utils';
 
 export { downloadBlob } from './utils';
+export { migrateSpec, validateSpec };
+
+/**
+ * Layer types registered here are only available when the printer runs on
+ * the main thread; with a worker backend, they have to be registered in a
+ * custom worker script importing the inkmap worker module.
+ */
+export { createTiledLayer, registerLayerType } from '../printer';
 
 /**
  * @typedef {Object} TileGrid
@@ -29,6 +76,11 @@ export { downloadBlob } from './utils';
  * @property {string} layer Layer name.
  * @property {number} opacity Opacity, from 0 (hidden) to 1 (visible).
  * @property {boolean} [tiled=false] Whether the WMS layer should be requested as tiles.
+ * @property {number} [timeout] Maximum time in milliseconds for loading the layer.
+ * @property {RetryPolicy} [retry] Retry policy for the layer requests; overrides the one in the printer options.
+ * @property {Object<string, string>} [headers] HTTP headers sent with the layer requests, e.g. an `Authorization` header.
+ * @property {RequestCredentials} [credentials] Whether the layer requests send cookies: `omit`, `same-origin` (default) or `include`.
+ * @property {Proxy|false} [proxy] Proxy for the layer requests; overrides the one in the printer options, `false` disabling it.
  */
 
 /**
@@ -36,6 +88,11 @@ export { downloadBlob } from './utils';
  * @property {'XYZ'} type
  * @property {string} url URL or URL template for the layer; can contain the following tokens: `{a-d}` for randomly choosing a letter, `{x}`, `{y}` and `{z}`.
  * @property {number} opacity Opacity, from 0 (hidden) to 1 (visible).
+ * @property {number} [timeout] Maximum time in milliseconds for loading the layer.
+ * @property {RetryPolicy} [retry] Retry policy for the layer requests; overrides the one in the printer options.
+ * @property {Object<string, string>} [headers] HTTP headers sent with the layer requests, e.g. an `Authorization` header.
+ * @property {RequestCredentials} [credentials] Whether the layer requests send cookies: `omit`, `same-origin` (default) or `include`.
+ * @property {Proxy|false} [proxy] Proxy for the layer requests; overrides the one in the printer options, `false` disabling it.
  */
 
 /**
@@ -50,6 +107,11 @@ export { downloadBlob } from './utils';
  * @property {!ProjectionLike} projection Projection.
  * @property {string} matrixSet Matrix set.
  * @property {TileGrid} tileGrid Tile grid.
+ * @property {number} [timeout] Maximum time in milliseconds for loading the layer.
+ * @property {RetryPolicy} [retry] Retry policy for the layer requests; overrides the one in the printer options.
+ * @property {Object<string, string>} [headers] HTTP headers sent with the layer requests, e.g. an `Authorization` header.
+ * @property {RequestCredentials} [credentials] Whether the layer requests send cookies: `omit`, `same-origin` (default) or `include`.
+ * @property {Proxy|false} [proxy] Proxy for the layer requests; overrides the one in the printer options, `false` disabling it.
  */
 
 /**
@@ -59,12 +121,30 @@ export { downloadBlob } from './utils';
  * @property {string} layer Layer name as advertised in the WFS capabilities.
  * @property {string} version Version of WFS protocol used: `1.0.0`, `1.1.0` (default) or `2.0.0`.
 |* @property {string} format Format used when querying WFS, `gml` (default) or `geojson`. inkmap determines the GML parser based on the WFS version used.
+ * @property {number} [timeout] Maximum time in milliseconds for loading the layer.
+ * @property {RetryPolicy} [retry] Retry policy for the layer requests; overrides the one in the printer options.
+ * @property {Object<string, string>} [headers] HTTP headers sent with the layer requests, e.g. an `Authorization` header.
+ * @property {RequestCredentials} [credentials] Whether the layer requests send cookies: `omit`, `same-origin` (default) or `include`.
+ * @property {Proxy|false} [proxy] Proxy for the layer requests; overrides the one in the printer options, `false` disabling it.
  */
 
 /**
  * @typedef {WmsLayer|XyzLayer|WmtsLayer|WfsLayer} Layer
  */
 
+/**
+ * Proxy for the requests to services without CORS headers: either a url template in which `{url}` is replaced with the encoded url of the request, e.g. `https://my.proxy/?url={url}`, or a function returning the proxied url. Functions cannot be sent to a worker, and are thus only supported when the printer runs on the main thread or in Node.js.
+ * @typedef {string|function(string): string} Proxy
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] Maximum number of attempts for each request, including the first one; 1 means no retry.
+ * @property {number} [delay=500] Delay in milliseconds before the first retry.
+ * @property {number} [backoffFactor=2] Factor applied to the delay after each retry.
+ * @property {number[]} [statuses=[408, 429, 500, 502, 503, 504]] HTTP statuses for which a request is retried; network errors are always retried.
+ */
+
 /**
  * @typedef {Object} ProjectionDefinition
  * @property {string} name Projection name written as `prefix:code`.
@@ -78,11 +158,24 @@ export { downloadBlob } from './utils';
  * @property {[number, number]|[number, number, string]} size Width and height in pixels, or in the specified unit in 3rd place; valid units are `px`, `mm`, `cm`, `m` and `in`.
  * @property {[number, number]} center Longitude and latitude of the map center.
  * @property {number} dpi Dot-per-inch, usually 96 for a computer screen and 300 for a detailed print.
- * @property {boolean | ScaleBarSpec} scaleBar Indicates whether scalebar should be printed (and optionally its options).
+ * @property {number} [version] Version of the spec format; specs without version or of a previous version are migrated to the current one (2).
+ * @property {ScaleBarSpec} [scaleBar] Scale bar options, if a scale bar should be printed; a boolean is deprecated.
  * @property {number} scale Scale denominator.
  * @property {string} projection EPSG projection code.
  * @property {boolean | string} northArrow North arrow position.
- * @property {ProjectionDefinition} projectionDefinition Projection definition to be newly registered.
+ * @property {ProjectionDefinition[]} [projectionDefinitions] Projection definitions to be newly registered.
+ * @property {number} [priority=0] Job priority; pending jobs with a higher priority are started first.
+ * @property {number} [timeout] Maximum time in milliseconds for loading all layers.
+ * @property {'fail' | 'partial'} [timeoutPolicy='fail'] What to do when a job or layer timeout is reached: either fail the job, or print the map without the layers that timed out.
+ * @property {AtlasPage[]} [pages] Pages of an atlas, each printed as a separate image; see `printAtlas`.
+ */
+
+/**
+ * @typedef {Object} AtlasPage
+ * @property {[number, number]} [center] Longitude and latitude of the page center; overrides the one in the spec.
+ * @property {number} [scale] Scale denominator of the page; overrides the one in the spec.
+ * @property {[number, number, number, number]} [extent] Extent to fit in the page, in longitude and latitude; overrides the center and scale.
+ * @property {Object} [geometry] GeoJSON geometry, in longitude and latitude, whose extent is fitted in the page; overrides the center and scale.
  */
 
 /**
@@ -103,30 +196,191 @@ export { downloadBlob } from './utils';
  * @typedef {Object} PrintStatus
  * @property {number} id Job id.
  * @property {PrintSpec} spec Job initial spec.
- * @property {number} progress Job progress, from 0 to 1.
- * @property {'pending' | 'ongoing' | 'finished'} status Job status.
+ * @property {number} progress Job progress, from 0 to 1, weighted by the number of requests needed by each layer.
+ * @property {number|null} [estimatedTimeRemaining] Estimated time in milliseconds before the job is finished, based on the progress made so far; null if it cannot be estimated yet.
+ * @property {'pending' | 'ongoing' | 'paused' | 'finished' | 'cancelled' | 'failed'} status Job status.
  * @property {Blob} [imageBlob] Finished image blob.
  * @property {SourceLoadError[]} [sourceLoadErrors] Array of `SourceLoadError` objects.
+ * @property {JobError} [error] Reason of the failure, if status is `failed`.
+ * @property {string} [requestId] Id of the request which created the job.
+ * @property {LayerStatus[]} [layers] Status of each layer in the spec, once the job has started; for an atlas, these are the layers of the page being printed.
+ * @property {Blob[]} [imageBlobs] Finished image blobs of an atlas, in the same order as the pages.
+ * @property {PageStatus[]} [pages] Status of each page of an atlas, once the job has started.
+ */
+
+/**
+ * @typedef {Object} PageStatus
+ * @property {number} progress Page progress, from 0 to 1.
+ * @property {'pending' | 'loading' | 'done'} state Page state.
+ */
+
+/**
+ * @typedef {Object} LayerStatus
+ * @property {number} progress Layer progress, from 0 to 1.
+ * @property {number} loadedCount Number of tiles (or images and features requests for untiled layers) successfully loaded.
+ * @property {number} totalCount Total number of tiles or requests needed by the layer.
+ * @property {number} errorCount Number of tiles or requests which failed, including the ones left unfinished by a timeout.
+ * @property {'loading' | 'done' | 'failed'} state Layer state; a layer is `failed` if it timed out or if all its requests failed.
+ */
+
+/**
+ * @typedef {Object} JobError
+ * @property {string} code Error code, e.g. `invalidSpec`, `unknownProjection`, `noLayers`, `noPages`, `unknownLayerType`, `timeout`, `interrupted` or `unexpected`.
+ * @property {string} message Human readable message.
+ * @property {string} [path] Path of the offending value in the spec, e.g. `layers[1].type`.
+ */
+
+/**
+ * @typedef {Object} SpecIssue
+ * @property {'error' | 'warning'} level An error prevents the spec from being printed, a warning points to a value which may not give the expected result.
+ * @property {string} [code] Error code of the `PrintError` raised for this issue, e.g. `invalidSpec`, `noLayers` or `noPages`; only for errors.
+ * @property {string} path Path of the offending value in the spec, e.g. `layers[1].type`; empty for the spec itself.
+ * @property {string} message Human readable message.
+ */
+
+/**
+ * @typedef {Object} PrintOptions
+ * @property {AbortSignal} [signal] Signal used to cancel the print job.
+ * @property {number} [priority] Job priority; overrides the one in the spec.
+ */
+
+/**
+ * @typedef {Object} PrinterOptions
+ * @property {number} [maxConcurrentJobs=2] Maximum number of jobs running at the same time; other jobs stay pending until a slot is free.
+ * @property {RetryPolicy} [retry] Retry policy for the requests of all layers.
+ * @property {number} [maxCanvasSize] Maximum width and height in pixels of the canvases on which layers are rendered; larger maps are rendered in several strips, each sending its own WMS and WFS requests. Defaults to 4096, or 1024 when the printer runs on the main thread.
+ * @property {number} [maxPagePixels=100000000] Maximum number of pixels of a page, i.e. its width times its height; jobs printing a larger page fail with a `pageTooLarge` error.
+ * @property {JobCacheOptions} [jobCache] Options for reusing jobs with identical specs.
+ * @property {Proxy} [proxy] Proxy for the requests of all layers.
+ */
+
+/**
+ * @typedef {Object} InterceptedRequest
+ * @property {string} url Url of the request.
+ * @property {Object<string, string>} headers Headers of the request, including the ones of the layer.
+ */
+
+/**
+ * @typedef {Object} RequestInterception
+ * @property {string} [url] Url to fetch instead of the original one, e.g. with a signature.
+ * @property {Object<string, string>} [headers] Headers added to the request.
+ * @property {number} [maxAge=0] Time in milliseconds during which the query parameters and headers added here are also used for the other requests to the same host, without calling the interceptor; only for values which do not depend on the url, e.g. an access token.
+ */
+
+/**
+ * @typedef {function(InterceptedRequest): (RequestInterception|Promise<RequestInterception>|null|undefined)} RequestInterceptor
+ */
+
+/**
+ * @typedef {Object} JobCacheOptions
+ * @property {number} [size=0] Maximum number of finished jobs kept to be reused; 0 disables reusing jobs altogether, including the ones not over yet.
+ * @property {number} [ttl=60000] Time in milliseconds during which a finished job can be reused.
+ */
+
+/**
+ * @typedef {Object} InitOptions
+ * @property {'service-worker' | 'dedicated-worker' | 'main-thread'} [backend] Where the printer runs; defaults to `service-worker` if the browser supports `OffscreenCanvas`, `main-thread` otherwise.
+ * @property {string} [workerUrl='inkmap-worker.js'] URL of the worker script, for the worker backends.
+ * @property {string} [scope] Scope of the service worker registration; using a scope different from the one of the application service worker avoids replacing it.
  */
 
 /**
  * @typedef {Object} SourceLoadError
- * @property {string} url url of the ol.source that encountered at least one 'tileloaderror' or 'imageloaderror'.
- * /
+ * @property {string} url url of the ol.source that encountered at least one 'tileloaderror' or 'imageloaderror', after all retries.
+ * @property {boolean} [timedOut] True if the layer was left out of the map because it timed out.
+ * @property {number} [page] Index of the atlas page on which the error occurred.
+ */
+
+/**
+ * Starts the printer with the given options; this must be called before any
+ * other function, otherwise the printer is started with the default options.
+ * Note: a worker backend falls back to the main thread if the browser does
+ * not support `OffscreenCanvas` or if the worker could not be started.
+ * @param {InitOptions} [options]
+ * @return {Promise<void>} Promise resolving once the printer is ready to
+ * receive print jobs, or rejecting if the printer was already started.
+ */
+export function init(options) {
+  return initPrinter(options).then(() => undefined);
+}
 
 /**
  * Starts generating a map image from a print spec.
  * @param {PrintSpec} printSpec
- * @return {Promise<Blob>} Promise resolving to the final image blob.
+ * @param {PrintOptions} [options]
+ * @return {Promise<Blob>} Promise resolving to the final image blob, or
+ * rejecting if the job is cancelled or failed; if cancelled through the abort
+ * signal, the rejection error will be an `AbortError`, and if failed, a
+ * `PrintError` with the `code` and `path` of the job error.
+ * Note: the spec is validated before the job is created; if invalid, the
+ * promise rejects with a `PrintError` for the first error found.
  */
-export function print(printSpec) {
-  messageToPrinter(MESSAGE_JOB_REQUEST, { spec: printSpec });
-  return newJob$
+export function print(printSpec, options) {
+  return printJob(printSpec, options).then((job) => job.imageBlob);
+}
+
+/**
+ * Starts generating one map image per page, all in a single job; each page
+ * uses the base spec with its own center, scale or extent. Tiles needed by
+ * several pages are only loaded once.
+ * @param {PrintSpec} baseSpec Spec shared by all pages.
+ * @param {AtlasPage[]} pages
+ * @param {PrintOptions} [options]
+ * @return {Promise<Blob[]>} Promise resolving to the image blobs, in the same
+ * order as the pages; it rejects in the same cases as `print`.
+ */
+export function printAtlas(baseSpec, pages, options) {
+  return printJob({ ...baseSpec, pages }, options).then(
+    (job) => job.imageBlobs
+  );
+}
+
+/**
+ * @param {PrintSpec} printSpec
+ * @param {PrintOptions} [options]
+ * @return {Promise<PrintStatus>} Promise resolving to the final status of the
+ * job once finished, or rejecting if the job is cancelled or failed.
+ */
+function printJob(printSpec, options) {
+  const signal = options && options.signal;
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  const specError = getSpecError(printSpec);
+  if (specError) {
+    return Promise.reject(specError);
+  }
+  const requestId = generateRequestId();
+  return merge(
+    getRequestedJobObservable(requestId),
+    from(requestJob(printSpec, options, requestId)).pipe(ignoreElements())
+  )
     .pipe(
-      take(1),
-      switchMap((job) => getJobStatusObservable(job.id)),
-      takeWhile((job) => job.progress < 1, true),
-      map((job) => job.imageBlob)
+      tap((job) => cancelJobOnAbort(job.id, requestId, signal)),
+      // the job may be shared with other requests, in which case it goes on
+      // after this request is aborted
+      switchMap((job) =>
+        merge(
+          getJobStatusObservable(job.id),
+          fromAbortSignal(signal).pipe(
+            map(() => {
+              throw createAbortError();
+            })
+          )
+        )
+      ),
+      takeWhile((job) => !isJobOver(job), true),
+      map((job) => {
+        if (job.status === 'cancelled') {
+          throw signal && signal.aborted
+            ? createAbortError()
+            : new Error(`Print job ${job.id} was cancelled`);
+        }
+        if (job.status === 'failed') {
+          throw deserializeError(job.error);
+        }
+        return job;
+      })
     )
     .toPromise();
 }
@@ -134,19 +388,118 @@ export function print(printSpec) {
 /**
  * Starts generating a map image from a print spec. Will simply return the job
  * id for further monitoring.
+ * Note: if the job cache is enabled in the printer options, the id of a job
+ * with an identical spec may be returned instead of creating a new job.
  * @param {PrintSpec} printSpec
- * @return {Promise<number>} Promise resolving to the print job id.
+ * @param {PrintOptions} [options]
+ * @return {Promise<number>} Promise resolving to the print job id, or
+ * rejecting with an `AbortError` if the signal is aborted before that, or with
+ * a `PrintError` if the spec is invalid.
  */
-export function queuePrint(printSpec) {
-  messageToPrinter(MESSAGE_JOB_REQUEST, { spec: printSpec });
-  return newJob$
+export function queuePrint(printSpec, options) {
+  const signal = options && options.signal;
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  const specError = getSpecError(printSpec);
+  if (specError) {
+    return Promise.reject(specError);
+  }
+  const requestId = generateRequestId();
+  return merge(
+    getRequestedJobObservable(requestId),
+    from(requestJob(printSpec, options, requestId)).pipe(ignoreElements())
+  )
     .pipe(
-      take(1),
-      map((job) => job.id)
+      tap((job) => cancelJobOnAbort(job.id, requestId, signal)),
+      map((job) => {
+        if (signal && signal.aborted) {
+          throw createAbortError();
+        }
+        // a job given back by the cache may already be over
+        if (!isJobOver(job)) {
+          addQueuedRequest(job.id, requestId);
+        }
+        return job.id;
+      })
     )
     .toPromise();
 }
 
+/**
+ * Sends a job request to the printer
+ * @param {PrintSpec} printSpec A valid spec.
+ * @param {PrintOptions} [options]
+ * @param {string} requestId
+ * @return {Promise<void>} Resolves once sent; rejects with a `PrintError` if
+ * the spec contains a proxy function while the printer runs in a worker, or
+ * with the error thrown if the request could not be sent.
+ */
+function requestJob(printSpec, options, requestId) {
+  return getPrinter().then((printer) => {
+    const workerError =
+      printer.backend !== 'main-thread' && getWorkerSpecError(printSpec);
+    if (workerError) {
+      throw workerError;
+    }
+    return messageToPrinter(MESSAGE_JOB_REQUEST, {
+      spec: printSpec,
+      priority: options && options.priority,
+      requestId,
+    });
+  });
+}
+
+/**
+ * Detaches the request from the job as soon as the signal is aborted, unless
+ * the job is already over by then; the job is cancelled if no other request
+ * is attached to it.
+ * @param {number} jobId
+ * @param {string} requestId
+ * @param {AbortSignal} [signal]
+ */
+function cancelJobOnAbort(jobId, requestId, signal) {
+  fromAbortSignal(signal)
+    .pipe(takeUntil(getJobStatusObservable(jobId).pipe(filter(isJobOver))))
+    .subscribe(() => {
+      removeQueuedRequest(jobId, requestId);
+      messageToPrinter(MESSAGE_JOB_CANCEL, { jobId, requestId });
+    });
+}
+
+/**
+ * Ids of the `queuePrint` requests of this page attached to each job not
+ * over yet; `cancelJob` detaches them one at a time
+ * @type {Map<number, string[]>}
+ */
+const queuedRequests = new Map();
+
+/**
+ * @param {number} jobId
+ * @param {string} requestId
+ */
+function addQueuedRequest(jobId, requestId) {
+  if (queuedRequests.has(jobId)) {
+    queuedRequests.get(jobId).push(requestId);
+    return;
+  }
+  queuedRequests.set(jobId, [requestId]);
+  getJobStatusObservable(jobId)
+    .pipe(filter(isJobOver), take(1))
+    .subscribe(() => queuedRequests.delete(jobId));
+}
+
+/**
+ * @param {number} jobId
+ * @param {string} requestId
+ */
+function removeQueuedRequest(jobId, requestId) {
+  const requestIds = queuedRequests.get(jobId);
+  if (requestIds && requestIds.includes(requestId)) {
+    requestIds.splice(requestIds.indexOf(requestId), 1);
+  }
+}
+
 /**
  * Returns a long-running observable which emits an array of print job status.
  * This observable will never complete.
@@ -156,20 +509,125 @@ export function getJobsStatus() {
   return getJobsStatusObservable();
 }
 
+/**
+ * Enables or disables receiving the status of every print job, including the
+ * ones started from other pages; by default, a page only receives the status
+ * of the jobs it started.
+ * Note: this has no effect if the printer runs on the main thread.
+ * @param {boolean} enabled
+ */
+export function setJobsBroadcast(enabled) {
+  messageToPrinter(MESSAGE_JOBS_BROADCAST, { enabled });
+}
+
 /**
  * Returns an observable emitting status objects for a particular job.
- * The observable will complete once the job is ready.
+ * The observable will complete once the job is over, i.e. finished, cancelled
+ * or failed.
  * @param {number} jobId
  * @return {Observable<PrintStatus>} Observable emitting job status objects.
  */
 export function getJobStatus(jobId) {
   return getJobStatusObservable(jobId).pipe(
-    takeWhile((job) => job.progress < 1, true)
+    takeWhile((job) => !isJobOver(job), true)
   );
 }
 
-export function cancelJob() {
-  console.warn('Not implemented yet');
+/**
+ * Returns the print jobs stored by the printer, including the ones which
+ * finished while the page was closed or reloaded. Image blobs are not included
+ * and can be obtained with `getJobResult`.
+ * Note: jobs are only stored when the printer runs in a worker.
+ * @return {Promise<PrintStatus[]>} Promise resolving to the stored job status,
+ * ordered by job id.
+ */
+export function getStoredJobs() {
+  return readStoredJobs();
+}
+
+/**
+ * Returns the final image of a stored job, or the images of a stored atlas.
+ * @param {number} jobId
+ * @return {Promise<Blob|Blob[]|null>} Promise resolving to the image blob, or
+ * to the image blobs of an atlas in the same order as its pages; null if the
+ * job is not stored or not finished.
+ */
+export function getJobResult(jobId) {
+  return readStoredJobResult(jobId);
+}
+
+/**
+ * Removes all stored jobs and their images.
+ * @return {Promise<void>}
+ */
+export function clearJobs() {
+  return clearStoredJobs();
+}
+
+/**
+ * Cancels a print job: its status will end with a `cancelled` state and
+ * pending requests for map images and data will be aborted.
+ * Note: a job reused by identical requests is shared between them; if this
+ * page attached to the job with `queuePrint`, one of these requests is
+ * detached instead, and the job is only cancelled once no request is left.
+ * @param {number} jobId
+ */
+export function cancelJob(jobId) {
+  const requestIds = queuedRequests.get(jobId);
+  const requestId = requestIds && requestIds.shift();
+  messageToPrinter(MESSAGE_JOB_CANCEL, { jobId, requestId });
+}
+
+/**
+ * Pauses a pending or ongoing print job: its status will have a `paused`
+ * state, and no new request for map images and data will be sent until the
+ * job is resumed. Data already loaded is kept.
+ * Note: the time spent paused does not count toward the job timeouts.
+ * @param {number} jobId
+ */
+export function pauseJob(jobId) {
+  messageToPrinter(MESSAGE_JOB_PAUSE, { jobId });
+}
+
+/**
+ * Resumes a paused print job, which goes back to its previous state.
+ * @param {number} jobId
+ */
+export function resumeJob(jobId) {
+  messageToPrinter(MESSAGE_JOB_RESUME, { jobId });
+}
+
+/**
+ * Changes the printer options; these apply to all jobs, including the
+ * pending ones.
+ * @param {PrinterOptions} options
+ * @return {Promise<void>} Resolves once the options are sent to the printer;
+ * rejects with a `PrintError` if they contain a proxy function while the
+ * printer runs in a worker.
+ */
+export function setPrinterOptions(options) {
+  return getPrinter().then((printer) => {
+    const workerError =
+      printer.backend !== 'main-thread' && getWorkerOptionsError(options);
+    if (workerError) {
+      throw workerError;
+    }
+    return messageToPrinter(MESSAGE_PRINTER_OPTIONS, { options });
+  });
+}
+
+/**
+ * Sets a function called on the main thread for every request of the printer
+ * (tiles, images and features), before it is sent; it can change the url of
+ * the request, e.g. to sign it, or add headers. Returning nothing leaves the
+ * request unchanged, and throwing makes it fail.
+ * Note: to limit the exchanges with the printer, query parameters and headers
+ * added for a request can be reused for the other requests to the same host,
+ * during the `maxAge` given by the interceptor.
+ * @param {RequestInterceptor|null} interceptor Null removes the interceptor.
+ */
+export function setRequestInterceptor(interceptor) {
+  setInterceptor(interceptor);
 }
 
 /**
@@ -0,0 +1,72 @@
+import { filter } from 'rxjs/operators';
+import {
+  MESSAGE_REQUEST_INTERCEPT,
+  MESSAGE_REQUEST_INTERCEPTED,
+  MESSAGE_REQUEST_INTERCEPTOR,
+} from '../shared/constants';
+import { messageToMain$, messageToPrinter } from './exchange';
+
+/**
+ * @type {RequestInterceptor|null}
+ */
+let interceptor = null;
+
+/**
+ * Subscription to the requests sent by the printer, while an interceptor is set
+ * @type {Subscription|null}
+ */
+let subscription = null;
+
+/**
+ * Sets the interceptor called for the printer requests, or removes it if null
+ * @param {RequestInterceptor|null} newInterceptor
+ */
+export function setInterceptor(newInterceptor) {
+  interceptor = newInterceptor;
+  if (interceptor && !subscription) {
+    subscription = messageToMain$
+      .pipe(filter((message) => message.type === MESSAGE_REQUEST_INTERCEPT))
+      .subscribe(intercept);
+  } else if (!interceptor && subscription) {
+    subscription.unsubscribe();
+    subscription = null;
+  }
+  messageToPrinter(MESSAGE_REQUEST_INTERCEPTOR, { enabled: !!interceptor });
+}
+
+/**
+ * Calls the interceptor for a request sent by the printer, and sends back
+ * its result
+ * @param {Object} message
+ * @param {number} message.interceptionId
+ * @param {string} message.url
+ * @param {Object<string, string>} message.headers
+ */
+function intercept(message) {
+  const { interceptionId, url, headers } = message;
+  new Promise((resolve) => resolve(interceptor({ url, headers })))
+    .then((result) => {
+      // only keep the values which can be sent to the printer
+      const interception = {};
+      if (result && result.url) {
+        interception.url = result.url;
+      }
+      if (result && result.headers) {
+        interception.headers = { ...result.headers };
+      }
+      if (result && result.maxAge !== undefined) {
+        interception.maxAge = result.maxAge;
+      }
+      messageToPrinter(MESSAGE_REQUEST_INTERCEPTED, {
+        interceptionId,
+        interception,
+      });
+    })
+    .catch((error) => {
+      console.error('[inkmap] The request interceptor failed:', error);
+      messageToPrinter(MESSAGE_REQUEST_INTERCEPTED, {
+        interceptionId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    });
+}
@@ -5,11 +5,11 @@ import {
   scan,
   shareReplay,
   startWith,
-  switchMap,
+  take,
 } from 'rxjs/operators';
-import { from } from 'rxjs';
 import { messageToMain$ } from './exchange';
 import { MESSAGE_JOB_STATUS } from '../shared/constants';
+import { isJobOver } from '../shared/jobs';
 
 export const jobs$ = messageToMain$.pipe(
   filter((message) => message.type === MESSAGE_JOB_STATUS),
@@ -22,15 +22,6 @@ export const jobs$ = messageToMain$.pipe(
   shareReplay({ bufferSize: 1, refCount: true })
 );
 
-export const newJob$ = jobs$.pipe(
-  pairwise(),
-  switchMap(([prevJobs, jobs]) => {
-    return from(
-      jobs.filter((job) => !prevJobs.some((prevJob) => prevJob.id === job.id))
-    );
-  })
-);
-
 export function getJobsStatusObservable() {
   return jobs$.pipe(
     pairwise(),
@@ -38,7 +29,7 @@ export function getJobsStatusObservable() {
       jobs.filter(
         (job) =>
           !prevJobs.find(
-            (prevJob) => prevJob.id === job.id && prevJob.progress == 1
+            (prevJob) => prevJob.id === job.id && isJobOver(prevJob)
           )
       )
     )
@@ -51,3 +42,17 @@ export function getJobStatusObservable(jobId) {
     filter((job) => !!job)
   );
 }
+
+/**
+ * Returns an observable emitting the first status of the job created from
+ * a given request, and completing immediately.
+ * @param {string} requestId
+ * @return {Observable<PrintStatus>}
+ */
+export function getRequestedJobObservable(requestId) {
+  return jobs$.pipe(
+    map((jobs) => jobs.find((job) => job.requestId === requestId)),
+    filter((job) => !!job),
+    take(1)
+  );
+}
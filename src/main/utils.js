@@ -1,3 +1,10 @@
+import { defer, fromEvent, NEVER, of, throwError } from 'rxjs';
+import { filter, pluck, take, timeoutWith } from 'rxjs/operators';
+import {
+  MESSAGE_PRINTER_PING,
+  MESSAGE_PRINTER_READY,
+} from '../shared/constants';
+
 export function hasOffscreenCanvasSupport() {
   return !!HTMLCanvasElement.prototype.transferControlToOffscreen;
 }
@@ -16,32 +23,222 @@ export function downloadBlob(imageBlob, filename) {
 }
 
 /**
- * Resolves to a boolean (true/false) on subscription
- * True means a worker is used for print jobs
- * @type {Promise<boolean>}
- */
-export const printerReady = new Promise((resolve, reject) => {
-  if (hasOffscreenCanvasSupport()) {
-    navigator.serviceWorker.register('inkmap-worker.js').then(
-      () => {
-        // this will wait for the current window to be claimed by the worker
-        setTimeout(() => {
-          // a worker still may not be available, i.e. after a force refresh
-          // use the library on the main thread in this case
-          if (!navigator.serviceWorker.controller) resolve(false);
-          resolve(true);
-        }, 100);
-      },
-      (error) => {
-        console.log('Service worker registration failed:', error);
-        reject();
-      }
+ * Returns an observable emitting once when the signal is aborted, or
+ * immediately if it already was. Never emits if no signal is given.
+ * @param {AbortSignal} [signal]
+ * @return {Observable<void>}
+ */
+export function fromAbortSignal(signal) {
+  if (!signal) {
+    return NEVER;
+  }
+  return defer(() =>
+    signal.aborted ? of(undefined) : fromEvent(signal, 'abort').pipe(take(1))
+  );
+}
+
+/**
+ * @return {DOMException} An error similar to the one thrown by `fetch` when
+ * aborted.
+ */
+export function createAbortError() {
+  return new DOMException('The print job was aborted', 'AbortError');
+}
+
+/**
+ * @return {string} A random id, unique enough to tell apart the requests
+ * from different pages.
+ */
+export function generateRequestId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2)}`;
+}
+
+/**
+ * @typedef {Object} Printer
+ * @property {'service-worker' | 'dedicated-worker' | 'main-thread'} backend
+ * @property {function(Object): void} postMessage Sends a message to the printer.
+ * @property {Observable<Object>} messages$ Messages sent by the printer.
+ */
+
+/**
+ * Resolves to the printer once it is ready to receive messages
+ * @type {Promise<Printer>|null}
+ */
+let printer = null;
+
+/**
+ * Delay in milliseconds for a worker printer to answer the first message,
+ * after which the main thread is used instead
+ * @type {number}
+ */
+const HANDSHAKE_TIMEOUT = 10000;
+
+/**
+ * Starts the printer with the given backend; a worker backend falls back to
+ * the main thread if the browser does not support `OffscreenCanvas` or if the
+ * worker could not be started.
+ * @param {InitOptions} [options]
+ * @return {Promise<Printer>} Resolves once the printer is ready, or rejects
+ * if it was already initialized.
+ */
+export function initPrinter(options) {
+  if (printer) {
+    return Promise.reject(
+      new Error('[inkmap] The printer is already initialized')
+    );
+  }
+  const {
+    backend = hasOffscreenCanvasSupport() ? 'service-worker' : 'main-thread',
+    workerUrl = 'inkmap-worker.js',
+    scope,
+  } = options || {};
+
+  let printerPromise;
+  if (backend !== 'main-thread' && !hasOffscreenCanvasSupport()) {
+    console.warn(
+      `[inkmap] OffscreenCanvas is not supported, using main thread instead of ${backend}`
     );
+    printerPromise = createMainThreadPrinter();
+  } else if (backend === 'service-worker') {
+    printerPromise = createServiceWorkerPrinter(workerUrl, scope);
+  } else if (backend === 'dedicated-worker') {
+    printerPromise = createDedicatedWorkerPrinter(workerUrl);
   } else {
-    resolve(false);
+    printerPromise = createMainThreadPrinter();
   }
-}).then((useWorker) =>
-  console.log(
-    `[inkmap] Ready, ${useWorker ? 'using worker' : 'using main thread'}`
-  )
-);
+
+  printer = printerPromise
+    .catch((error) => {
+      console.error(
+        `[inkmap] Could not start the ${backend} printer, using main thread instead:`,
+        error
+      );
+      return createMainThreadPrinter();
+    })
+    .then((readyPrinter) => {
+      console.log(`[inkmap] Ready, using ${readyPrinter.backend}`);
+      return readyPrinter;
+    });
+  return printer;
+}
+
+/**
+ * Returns the printer, starting it with the default options if `init` was
+ * not called before
+ * @return {Promise<Printer>} Resolves once the printer is ready.
+ */
+export function getPrinter() {
+  return printer || initPrinter();
+}
+
+/**
+ * @param {string} workerUrl
+ * @param {string} [scope]
+ * @return {Promise<Printer>}
+ */
+function createServiceWorkerPrinter(workerUrl, scope) {
+  return navigator.serviceWorker
+    .register(workerUrl, scope ? { scope } : undefined)
+    .then(whenActivated)
+    .then((worker) => {
+      // messages are sent to the worker directly, so that the page does not
+      // need to be controlled by it
+      const messages$ = fromEvent(navigator.serviceWorker, 'message').pipe(
+        pluck('data')
+      );
+      navigator.serviceWorker.startMessages();
+      return handshake({
+        backend: 'service-worker',
+        postMessage: (message) => worker.postMessage(message),
+        messages$,
+      });
+    });
+}
+
+/**
+ * @param {ServiceWorkerRegistration} registration
+ * @return {Promise<ServiceWorker>} Resolves to the service worker of the
+ * registration once activated; a worker being installed or waiting replaces
+ * the active one, so it is waited for even if another one is still active.
+ */
+function whenActivated(registration) {
+  const worker = registration.installing || registration.waiting;
+  if (!worker) {
+    return Promise.resolve(registration.active);
+  }
+  return new Promise((resolve, reject) => {
+    const listener = () => {
+      if (worker.state === 'activated') {
+        worker.removeEventListener('statechange', listener);
+        resolve(worker);
+      } else if (worker.state === 'redundant') {
+        worker.removeEventListener('statechange', listener);
+        reject(new Error('The service worker could not be activated'));
+      }
+    };
+    worker.addEventListener('statechange', listener);
+    listener();
+  });
+}
+
+/**
+ * @param {string} workerUrl
+ * @return {Promise<Printer>}
+ */
+function createDedicatedWorkerPrinter(workerUrl) {
+  const worker = new Worker(workerUrl);
+  const error = new Promise((resolve, reject) =>
+    worker.addEventListener('error', reject, { once: true })
+  );
+  return Promise.race([
+    handshake({
+      backend: 'dedicated-worker',
+      postMessage: (message) => worker.postMessage(message),
+      messages$: fromEvent(worker, 'message').pipe(pluck('data')),
+    }),
+    error,
+  ]).catch((reason) => {
+    // the main thread is used instead
+    worker.terminate();
+    throw reason;
+  });
+}
+
+/**
+ * @return {Promise<Printer>}
+ */
+function createMainThreadPrinter() {
+  return Promise.resolve({
+    backend: 'main-thread',
+    postMessage: (message) =>
+      window.dispatchEvent(
+        new CustomEvent('inkmap.toPrinter', { detail: message })
+      ),
+    messages$: fromEvent(window, 'inkmap.toMain').pipe(pluck('detail')),
+  });
+}
+
+/**
+ * Sends a ping message to the printer
+ * @param {Printer} workerPrinter
+ * @return {Promise<Printer>} Resolves to the printer once it answered, or
+ * rejects if it did not answer in time.
+ */
+function handshake(workerPrinter) {
+  const ready = workerPrinter.messages$
+    .pipe(
+      filter((message) => message.type === MESSAGE_PRINTER_READY),
+      take(1),
+      timeoutWith(
+        HANDSHAKE_TIMEOUT,
+        throwError(
+          new Error(
+            `The ${workerPrinter.backend} printer did not answer within ${HANDSHAKE_TIMEOUT} ms`
+          )
+        )
+      )
+    )
+    .toPromise();
+  workerPrinter.postMessage({ type: MESSAGE_PRINTER_PING });
+  return ready.then(() => workerPrinter);
+}
@@ -0,0 +1,137 @@
+import { Blob, resolveObjectURL } from 'buffer';
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} CanvasProvider
+ * @property {function(number, number): HTMLCanvasElement} createCanvas Creates
+ * a canvas of the given size in pixels.
+ * @property {function(new:HTMLImageElement)} Image Image class; setting the
+ * `src` of an image to a `Buffer` or a URL must load it and then call its
+ * `onload` or `onerror` property.
+ * @property {function(HTMLCanvasElement): (Buffer|Promise<Buffer>)} [toBuffer]
+ * Encodes a canvas as PNG; defaults to calling `canvas.toBuffer('image/png')`.
+ */
+
+/**
+ * @type {CanvasProvider|null}
+ */
+let provider = null;
+
+/**
+ * Minimal document, allowing OpenLayers to create canvases; these are given a
+ * `style` object, and a `convertToBlob` method like an OffscreenCanvas
+ */
+const nodeDocument = {
+  createElement(tagName) {
+    if (tagName !== 'canvas') {
+      throw new Error(`Cannot create a ${tagName} element in Node.js`);
+    }
+    const canvas = provider.createCanvas(300, 300);
+    canvas.style = {};
+    canvas.convertToBlob = () =>
+      canvasToBuffer(canvas).then(
+        (buffer) => new Blob([buffer], { type: 'image/png' })
+      );
+    return canvas;
+  },
+};
+
+/**
+ * Image class given to OpenLayers: this creates an image of the provider,
+ * extended so that it dispatches `load` and `error` events like an HTMLImage
+ * element would, and so that it can load the object URLs of fetched images.
+ * Note: this is a constructor function returning the provider image, so that
+ * the image can be drawn on the provider canvases.
+ * @return {HTMLImageElement}
+ */
+function Image() {
+  const image = new provider.Image();
+  const events = new EventEmitter();
+  image.addEventListener = (type, listener, options) =>
+    options && options.once
+      ? events.once(type, listener)
+      : events.on(type, listener);
+  image.removeEventListener = (type, listener) => events.off(type, listener);
+  image.dispatchEvent = (event) => events.emit(event.type, event);
+  image.onload = () => image.dispatchEvent({ type: 'load', target: image });
+  image.onerror = () => image.dispatchEvent({ type: 'error', target: image });
+
+  const setSource = getPropertySetter(image, 'src');
+  let src = '';
+  Object.defineProperty(image, 'src', {
+    get: () => src,
+    set: (url) => {
+      src = url;
+      if (!url) {
+        return;
+      }
+      if (typeof url !== 'string' || !url.startsWith('blob:')) {
+        setSource.call(image, url);
+        return;
+      }
+      const blob = resolveObjectURL(url);
+      if (!blob) {
+        image.onerror();
+        return;
+      }
+      blob.arrayBuffer().then((buffer) => {
+        // the source may have changed in the meantime
+        if (src === url) {
+          setSource.call(image, Buffer.from(buffer));
+        }
+      });
+    },
+  });
+  return image;
+}
+
+/**
+ * @param {Object} object
+ * @param {string} property
+ * @return {function(*): void} Setter of the property, found in the prototype
+ * chain of the object.
+ */
+function getPropertySetter(object, property) {
+  let prototype = Object.getPrototypeOf(object);
+  while (prototype) {
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
+    if (descriptor && descriptor.set) {
+      return descriptor.set;
+    }
+    prototype = Object.getPrototypeOf(prototype);
+  }
+  throw new Error(`The images of the canvas provider have no ${property}`);
+}
+
+/**
+ * Sets the library used to create canvases and images in Node.js, e.g.
+ * node-canvas; this defines the `document` and `Image` globals used by
+ * OpenLayers, if not already defined.
+ * @param {CanvasProvider} canvasProvider
+ */
+export function setCanvasProvider(canvasProvider) {
+  provider = canvasProvider;
+  if (typeof globalThis.document === 'undefined') {
+    globalThis.document = nodeDocument;
+  }
+  if (typeof globalThis.Image === 'undefined') {
+    globalThis.Image = Image;
+  }
+}
+
+/**
+ * @return {CanvasProvider|null}
+ */
+export function getCanvasProvider() {
+  return provider;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @return {Promise<Buffer>} PNG image of the canvas.
+ */
+function canvasToBuffer(canvas) {
+  return Promise.resolve(
+    provider.toBuffer ? provider.toBuffer(canvas) : canvas.toBuffer('image/png')
+  );
+}
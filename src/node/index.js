@@ -0,0 +1,124 @@
+import {
+  filter,
+  first,
+  last,
+  pluck,
+  startWith,
+  switchMap,
+  takeWhile,
+  tap,
+} from 'rxjs/operators';
+
+import { messageToNode$ } from '../printer/exchange';
+import { createJob, startPendingJobs } from '../printer/job';
+import { updatePrinterOptions } from '../printer/options';
+import { MESSAGE_JOB_STATUS } from '../shared/constants';
+import { deserializeError } from '../shared/errors';
+import { isJobOver } from '../shared/jobs';
+import { registerWithExtent } from '../shared/projections';
+import { getSpecError } from '../shared/validation';
+import { getCanvasProvider } from './canvas';
+
+export { setCanvasProvider } from './canvas';
+export { createTiledLayer, registerLayerType } from '../printer/layers';
+export { migrateSpec } from '../shared/migrations';
+export { validateSpec } from '../shared/validation';
+
+/**
+ * Counter used to bind the job statuses to the `renderSpec` calls
+ * @type {number}
+ */
+let requestCounter = 0;
+
+/**
+ * @type {Observable<PrintStatus>}
+ */
+const jobStatus$ = messageToNode$.pipe(
+  filter((message) => message.type === MESSAGE_JOB_STATUS),
+  pluck('status')
+);
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {function(PrintStatus): void} [onStatus] Called with each status
+ * of the job, e.g. to report its progress or its source loading errors.
+ */
+
+/**
+ * Generates a map image from a print spec in Node.js; a canvas provider
+ * must have been set with `setCanvasProvider` beforehand.
+ * @param {PrintSpec} spec
+ * @param {RenderOptions} [options]
+ * @return {Promise<Buffer|Buffer[]>} Promise resolving to the PNG image, or
+ * to one image per page for an atlas; it rejects with a `PrintError` if the
+ * spec is invalid or if the job failed.
+ */
+export function renderSpec(spec, options) {
+  const onStatus = (options && options.onStatus) || (() => {});
+  if (!getCanvasProvider()) {
+    return Promise.reject(
+      new Error('No canvas provider was set, see setCanvasProvider')
+    );
+  }
+  const specError = getSpecError(spec);
+  if (specError) {
+    return Promise.reject(specError);
+  }
+
+  const requestId = `node-${requestCounter++}`;
+  const result = jobStatus$
+    .pipe(
+      first((job) => job.requestId === requestId),
+      // an identical job may be reused, in which case its updates have
+      // the id of another request
+      switchMap((job) =>
+        jobStatus$.pipe(
+          filter((status) => status.id === job.id),
+          startWith(job)
+        )
+      ),
+      takeWhile((job) => !isJobOver(job), true),
+      tap(onStatus),
+      last()
+    )
+    .toPromise()
+    .then((job) => {
+      if (job.status === 'failed') {
+        throw deserializeError(job.error);
+      }
+      if (job.status !== 'finished') {
+        throw new Error(`Print job ${job.id} was ${job.status}`);
+      }
+      return job.imageBlobs
+        ? Promise.all(job.imageBlobs.map(blobToBuffer))
+        : blobToBuffer(job.imageBlob);
+    });
+  createJob(spec, { requestId });
+  return result;
+}
+
+/**
+ * Changes the printer options; these apply to all jobs, including the
+ * pending ones.
+ * @param {PrinterOptions} options
+ */
+export function setPrinterOptions(options) {
+  updatePrinterOptions(options);
+  startPendingJobs();
+}
+
+/**
+ * Register a new projection from a projection definition.
+ * @param {ProjectionDefinition} definition
+ */
+export function registerProjection(definition) {
+  registerWithExtent(definition.name, definition.proj4, definition.bbox);
+}
+
+/**
+ * @param {Blob} blob
+ * @return {Promise<Buffer>}
+ */
+function blobToBuffer(blob) {
+  return blob.arrayBuffer().then((buffer) => Buffer.from(buffer));
+}
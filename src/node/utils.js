@@ -0,0 +1,13 @@
+/**
+ * @return {boolean} True if executed in Node.js, false otherwise.
+ */
+export function isNode() {
+  // not referring to `process` directly keeps bundlers from polyfilling it
+  const process = globalThis.process;
+  return (
+    !!process &&
+    !!process.versions &&
+    !!process.versions.node &&
+    typeof window === 'undefined'
+  );
+}
@@ -1,13 +1,72 @@
-import { messageToPrinter$ } from './exchange';
-import { createJob } from './job';
-import { MESSAGE_JOB_REQUEST } from '../shared/constants';
+import { concatMap } from 'rxjs/operators';
+import { isServiceWorker } from '../worker/utils';
+import { messageToMain, messageToPrinter$ } from './exchange';
+import {
+  cancelJob,
+  createJob,
+  pauseJob,
+  restoreStoredJobs,
+  resumeJob,
+  setJobsBroadcast,
+  startPendingJobs,
+} from './job';
+import { updatePrinterOptions } from './options';
+import { receiveInterception, setRequestInterceptor } from './interceptor';
+import {
+  MESSAGE_JOB_CANCEL,
+  MESSAGE_JOB_PAUSE,
+  MESSAGE_JOB_REQUEST,
+  MESSAGE_JOB_RESUME,
+  MESSAGE_JOBS_BROADCAST,
+  MESSAGE_PRINTER_OPTIONS,
+  MESSAGE_PRINTER_PING,
+  MESSAGE_PRINTER_READY,
+  MESSAGE_REQUEST_INTERCEPTED,
+  MESSAGE_REQUEST_INTERCEPTOR,
+} from '../shared/constants';
 
-messageToPrinter$.subscribe((message) => {
-  switch (message.type) {
-    case MESSAGE_JOB_REQUEST:
-      createJob(message.spec);
-      break;
-    default:
-      console.log('Unhandled message', message);
-  }
-});
+// jobs are only stored when the printer runs in a service worker, since they
+// cannot outlive the page otherwise; a dedicated worker belongs to a single
+// page, which would mark the jobs of the other pages as interrupted
+const ready = isServiceWorker() ? restoreStoredJobs() : Promise.resolve();
+
+messageToPrinter$
+  .pipe(concatMap((message) => ready.then(() => message)))
+  .subscribe((message) => {
+    switch (message.type) {
+      case MESSAGE_JOB_REQUEST:
+        createJob(message.spec, {
+          priority: message.priority,
+          clientId: message.clientId,
+          requestId: message.requestId,
+        });
+        break;
+      case MESSAGE_JOB_CANCEL:
+        cancelJob(message.jobId, message.requestId);
+        break;
+      case MESSAGE_JOB_PAUSE:
+        pauseJob(message.jobId);
+        break;
+      case MESSAGE_JOB_RESUME:
+        resumeJob(message.jobId);
+        break;
+      case MESSAGE_PRINTER_OPTIONS:
+        updatePrinterOptions(message.options);
+        startPendingJobs();
+        break;
+      case MESSAGE_JOBS_BROADCAST:
+        setJobsBroadcast(message.clientId, message.enabled);
+        break;
+      case MESSAGE_PRINTER_PING:
+        messageToMain(MESSAGE_PRINTER_READY, {}, message.clientId);
+        break;
+      case MESSAGE_REQUEST_INTERCEPTOR:
+        setRequestInterceptor(message.enabled, message.clientId);
+        break;
+      case MESSAGE_REQUEST_INTERCEPTED:
+        receiveInterception(message);
+        break;
+      default:
+        console.log('Unhandled message', message);
+    }
+  });
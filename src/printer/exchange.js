@@ -1,27 +1,43 @@
-import { fromEvent } from 'rxjs';
-import { pluck, tap } from 'rxjs/operators';
-import { isWorker } from '../worker/utils';
+import { fromEvent, NEVER, Subject } from 'rxjs';
+import { map, pluck, tap } from 'rxjs/operators';
+import { isServiceWorker, isWorker } from '../worker/utils';
+import { isNode } from '../node/utils';
+
+/**
+ * Messages sent to the main thread when running in Node.js, where the
+ * printer is used directly from the same thread
+ * @type {Subject<Object>}
+ */
+export const messageToNode$ = new Subject();
 
 /**
  * Sends a message to the main thread
  * @param {string} type Message type, described by a MESSAGE_JOB_* constant.
  * @param {Object} [message] Message object.
+ * @param {string} [clientId] Id of the client to send the message to; if not
+ * specified, the last focused client will receive it. Only used in a service
+ * worker, since a dedicated worker has a single client.
  */
-export function messageToMain(type, message) {
-  if (isWorker()) {
-    self.clients
-      .matchAll({
-        type: 'window',
-      })
-      .then((clients) => {
-        if (clients && clients.length) {
-          // clients array is ordered by last focused
-          clients[0].postMessage({
-            ...message,
-            type,
-          });
-        }
-      });
+export function messageToMain(type, message, clientId) {
+  if (isServiceWorker()) {
+    getClient(clientId).then((client) => {
+      if (client) {
+        client.postMessage({
+          ...message,
+          type,
+        });
+      }
+    });
+  } else if (isWorker()) {
+    self.postMessage({
+      ...message,
+      type,
+    });
+  } else if (isNode()) {
+    messageToNode$.next({
+      ...message,
+      type,
+    });
   } else {
     window.dispatchEvent(
       new CustomEvent('inkmap.toMain', {
@@ -34,8 +50,38 @@ export function messageToMain(type, message) {
   }
 }
 
+/**
+ * @param {string} [clientId]
+ * @return {Promise<Client|undefined>} Client with the given id, or the last
+ * focused one if no id is given. Resolves to undefined if no client is found.
+ */
+function getClient(clientId) {
+  if (clientId) {
+    return self.clients.get(clientId);
+  }
+  return self.clients
+    .matchAll({
+      type: 'window',
+      // pages outside of the worker scope are not controlled by it
+      includeUncontrolled: true,
+    })
+    .then((clients) => {
+      // clients array is ordered by last focused
+      return clients && clients.length ? clients[0] : undefined;
+    });
+}
+
+// in a service worker, messages are given the id of the client which sent them
+// in Node.js, jobs are created directly instead
 const events$ = isWorker()
-  ? fromEvent(self, 'message').pipe(pluck('data'))
+  ? fromEvent(self, 'message').pipe(
+      map((event) => ({
+        ...event.data,
+        clientId: event.source ? event.source.id : undefined,
+      }))
+    )
+  : isNode()
+  ? NEVER
   : fromEvent(window, 'inkmap.toPrinter').pipe(pluck('detail'));
 
 export const messageToPrinter$ = events$.pipe(
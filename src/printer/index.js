@@ -1 +1,3 @@
 import '../printer/dispatcher';
+
+export { createTiledLayer, registerLayerType } from './layers';
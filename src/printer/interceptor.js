@@ -0,0 +1,284 @@
+import { MESSAGE_REQUEST_INTERCEPT } from '../shared/constants';
+import { messageToMain } from './exchange';
+
+/**
+ * Time in milliseconds during which the query parameters and headers added by
+ * the interceptor are reused for a host, unless it specifies another one; they
+ * are not reused by default, since they may be specific to a url, e.g. a
+ * signature
+ * @type {number}
+ */
+const DEFAULT_MAX_AGE = 0;
+
+/**
+ * Maximum time in milliseconds to wait for the interceptor, e.g. if the page
+ * which set it was closed
+ * @type {number}
+ */
+const INTERCEPT_TIMEOUT = 10000;
+
+/**
+ * Whether a request interceptor is set on the main thread
+ * @type {boolean}
+ */
+let enabled = false;
+
+/**
+ * Id of the client which set the interceptor, when running in a service worker
+ * @type {string|undefined}
+ */
+let interceptorClientId;
+
+let interceptionCounter = 0;
+
+/**
+ * @typedef {Object} PendingInterception
+ * @property {function(RequestInterception): void} resolve
+ * @property {function(Error): void} reject
+ */
+
+/**
+ * Interceptions waiting for an answer from the main thread, by id
+ * @type {Map<number, PendingInterception>}
+ */
+const pendingInterceptions = new Map();
+
+/**
+ * Query parameters and headers added by the interceptor to a request; these
+ * are applied to the other requests to the same host without asking the
+ * interceptor again
+ * @typedef {Object} HostRewrite
+ * @property {Object<string, string>} params
+ * @property {Object<string, string>} headers
+ */
+
+/**
+ * @typedef {Object} HostRewriteEntry
+ * @property {Promise<HostRewrite|null>} rewrite Resolves to null if the
+ * interception could not be reused.
+ * @property {number} expiry Time after which the rewrite is not used anymore;
+ * infinite while the interception is pending, or if it could not be reused.
+ */
+
+/**
+ * @type {Map<string, HostRewriteEntry>}
+ */
+const hostRewrites = new Map();
+
+/**
+ * @typedef {Object} InterceptedFetch
+ * @property {string} url
+ * @property {RequestInit} init
+ */
+
+/**
+ * Enables or disables the interception of the printer requests; cached host
+ * rewrites are cleared in any case. Once disabled, the requests waiting for
+ * the interceptor are sent unchanged.
+ * @param {boolean} isEnabled
+ * @param {string} [clientId] Id of the client which set the interceptor.
+ */
+export function setRequestInterceptor(isEnabled, clientId) {
+  enabled = isEnabled;
+  interceptorClientId = clientId;
+  hostRewrites.clear();
+  if (!enabled) {
+    pendingInterceptions.forEach((pending) => pending.resolve({}));
+  }
+}
+
+/**
+ * Settles a pending interception with the answer of the main thread
+ * @param {Object} message
+ * @param {number} message.interceptionId
+ * @param {RequestInterception} [message.interception]
+ * @param {string} [message.error] Message of the error thrown by the
+ * interceptor, if any.
+ */
+export function receiveInterception(message) {
+  const pending = pendingInterceptions.get(message.interceptionId);
+  if (!pending) {
+    return;
+  }
+  if (message.error) {
+    pending.reject(
+      new Error(`The request interceptor failed: ${message.error}`)
+    );
+  } else {
+    pending.resolve(message.interception || {});
+  }
+}
+
+/**
+ * Gives a request to the interceptor set on the main thread, if any, before
+ * it is fetched; if the interceptor allows it, the query parameters and
+ * headers it added are then reused for the same host until they expire.
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @return {Promise<InterceptedFetch>} Resolves to the request to fetch, or
+ * rejects if the interceptor failed or did not answer in time.
+ */
+export function interceptRequest(url, init = {}) {
+  if (!enabled) {
+    return Promise.resolve({ url, init });
+  }
+  const host = new URL(url, location.href).host;
+  const cached = hostRewrites.get(host);
+  if (cached && cached.expiry > Date.now()) {
+    return cached.rewrite.then((rewrite) =>
+      rewrite
+        ? applyHostRewrite(url, init, rewrite)
+        : updateHostRewrite(host, requestInterception(url, init))
+    );
+  }
+
+  // the other requests to the host wait for this interception, in case its
+  // result can be reused
+  const result = requestInterception(url, init);
+  const entry = {
+    rewrite: result.then(getReusableRewrite, () => null),
+    expiry: Infinity,
+  };
+  hostRewrites.set(host, entry);
+  return updateHostRewrite(host, result, entry);
+}
+
+/**
+ * Stores the rewrite of an interception for its host if it can be reused;
+ * otherwise, the next requests to the host are sent to the interceptor
+ * without waiting for each other.
+ * @param {string} host
+ * @param {Promise<{request: InterceptedFetch, rewrite: HostRewrite|null, maxAge: number}>} result
+ * @param {HostRewriteEntry} [pendingEntry] Entry on which the other requests
+ * to the host wait, if created for this interception.
+ * @return {Promise<InterceptedFetch>}
+ */
+function updateHostRewrite(host, result, pendingEntry) {
+  const isPending = () =>
+    !!pendingEntry && hostRewrites.get(host) === pendingEntry;
+  return result.then(
+    (interception) => {
+      const rewrite = getReusableRewrite(interception);
+      if (rewrite) {
+        hostRewrites.set(host, {
+          rewrite: Promise.resolve(rewrite),
+          expiry: Date.now() + interception.maxAge,
+        });
+      } else if (isPending()) {
+        hostRewrites.set(host, {
+          rewrite: Promise.resolve(null),
+          expiry: Infinity,
+        });
+      }
+      return interception.request;
+    },
+    (error) => {
+      if (isPending()) {
+        hostRewrites.delete(host);
+      }
+      throw error;
+    }
+  );
+}
+
+/**
+ * @param {{rewrite: HostRewrite|null, maxAge: number}} interception
+ * @return {HostRewrite|null} Null if the rewrite cannot be reused.
+ */
+function getReusableRewrite({ rewrite, maxAge }) {
+  return maxAge > 0 ? rewrite : null;
+}
+
+/**
+ * Sends a request to the interceptor and waits for its answer
+ * @param {string} url
+ * @param {RequestInit} init
+ * @return {Promise<{request: InterceptedFetch, rewrite: HostRewrite|null, maxAge: number}>}
+ */
+function requestInterception(url, init) {
+  const interceptionId = interceptionCounter++;
+  const headers = { ...init.headers };
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(
+      () => reject(new Error('The request interceptor did not answer in time')),
+      INTERCEPT_TIMEOUT
+    );
+    pendingInterceptions.set(interceptionId, {
+      resolve: (interception) => {
+        clearTimeout(timeout);
+        resolve(interception);
+      },
+      reject: (error) => {
+        clearTimeout(timeout);
+        reject(error);
+      },
+    });
+    messageToMain(
+      MESSAGE_REQUEST_INTERCEPT,
+      { interceptionId, url, headers },
+      interceptorClientId
+    );
+  })
+    .finally(() => pendingInterceptions.delete(interceptionId))
+    .then((interception) => {
+      const interceptedUrl = interception.url || url;
+      const addedHeaders = interception.headers || {};
+      return {
+        request: {
+          url: interceptedUrl,
+          init: { ...init, headers: { ...headers, ...addedHeaders } },
+        },
+        rewrite: getHostRewrite(url, interceptedUrl, addedHeaders),
+        maxAge:
+          interception.maxAge !== undefined
+            ? interception.maxAge
+            : DEFAULT_MAX_AGE,
+      };
+    });
+}
+
+/**
+ * @param {string} url Original url of the request.
+ * @param {string} interceptedUrl Url given by the interceptor.
+ * @param {Object<string, string>} headers Headers added by the interceptor.
+ * @return {HostRewrite|null} Null if the interceptor changed more than the
+ * query parameters, in which case it cannot be applied to other urls.
+ */
+function getHostRewrite(url, interceptedUrl, headers) {
+  const original = new URL(url, location.href);
+  const intercepted = new URL(interceptedUrl, location.href);
+  if (
+    original.origin !== intercepted.origin ||
+    original.pathname !== intercepted.pathname
+  ) {
+    return null;
+  }
+  const params = {};
+  intercepted.searchParams.forEach((value, key) => {
+    if (original.searchParams.get(key) !== value) {
+      params[key] = value;
+    }
+  });
+  return { params, headers };
+}
+
+/**
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {HostRewrite} rewrite
+ * @return {InterceptedFetch}
+ */
+function applyHostRewrite(url, init, rewrite) {
+  let rewrittenUrl = url;
+  if (Object.keys(rewrite.params).length) {
+    const parsed = new URL(url, location.href);
+    Object.keys(rewrite.params).forEach((key) =>
+      parsed.searchParams.set(key, rewrite.params[key])
+    );
+    rewrittenUrl = parsed.toString();
+  }
+  return {
+    url: rewrittenUrl,
+    init: { ...init, headers: { ...init.headers, ...rewrite.headers } },
+  };
+}
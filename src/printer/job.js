@@ -1,65 +1,548 @@
 import { createCanvasContext2D } from 'ol/dom';
-import { getForViewAndSize } from 'ol/extent';
-import { fromLonLat, get as getProjection } from 'ol/proj';
+import { getCenter, getForViewAndSize, getHeight, getWidth } from 'ol/extent';
+import GeoJSON from 'ol/format/GeoJSON';
+import {
+  fromLonLat,
+  get as getProjection,
+  toLonLat,
+  transformExtent,
+} from 'ol/proj';
 import TileQueue, {
   getTilePriority as tilePriorityFunction,
 } from 'ol/TileQueue';
-import { combineLatest, of } from 'rxjs';
-import { map, switchMap, takeWhile } from 'rxjs/operators';
+import {
+  BehaviorSubject,
+  combineLatest,
+  concat,
+  defer,
+  EMPTY,
+  merge,
+  NEVER,
+  of,
+  ReplaySubject,
+  timer,
+} from 'rxjs';
+import {
+  concatMap,
+  distinctUntilChanged,
+  finalize,
+  ignoreElements,
+  map,
+  shareReplay,
+  switchMap,
+  take,
+  takeWhile,
+  tap,
+} from 'rxjs/operators';
 
-import { CM_PER_INCH, MESSAGE_JOB_STATUS } from '../shared/constants';
+import {
+  CM_PER_INCH,
+  ERROR_INTERRUPTED,
+  ERROR_NO_LAYERS,
+  ERROR_NO_PAGES,
+  ERROR_PAGE_TOO_LARGE,
+  ERROR_TIMEOUT,
+  ERROR_UNKNOWN_LAYER_TYPE,
+  ERROR_UNKNOWN_PROJECTION,
+  INCH_PER_METER,
+  MESSAGE_JOB_STATUS,
+} from '../shared/constants';
+import { PrintError, serializeError } from '../shared/errors';
+import { migrateSpec } from '../shared/migrations';
+import { areSpecsEqual, isJobOver } from '../shared/jobs';
 import {
   registerWithExtent,
   search as searchProjection,
 } from '../shared/projections';
+import { readStoredJobs, writeJobStatus } from '../shared/storage';
+import { isServiceWorker } from '../worker/utils';
 import { messageToMain } from './exchange';
 import { createLayer } from './layers';
+import { getJobCacheOptions, getPrinterOptions } from './options';
 import { printNorthArrow } from './north-arrow';
+import { scheduleTask } from './scheduler';
 import { printScaleBar } from './scalebar';
 import { canvasToBlob } from './utils';
 
 let counter = 0;
 
 /**
- * Add a new job in the queue
+ * Number of pixels of a layer canvas drawn at once on the page canvas
+ * @type {number}
+ */
+const STRIP_PIXEL_COUNT = 1024 * 256;
+
+/**
+ * Maximum width and height in pixels of a page: layers are rendered in blocks,
+ * but the page image itself is a single canvas, which browsers cannot create
+ * beyond this size
+ * @type {number}
+ */
+const MAX_PAGE_SIZE = 16384;
+
+/**
+ * Jobs waiting for a free slot, ordered by decreasing priority, with their
+ * spec migrated to the current version; paused jobs are skipped until resumed
+ * @type {Array<{job: PrintStatus, spec: PrintSpec, priority: number, paused: boolean}>}
+ */
+const pendingJobs = [];
+
+/**
+ * @typedef {Object} OngoingJob
+ * @property {function(): void} cancel
+ * @property {function(boolean): void} setPaused
+ * @property {function(): PrintStatus} getStatus
+ */
+
+/**
+ * Controls of the ongoing jobs, by job id
+ * @type {Map<number, OngoingJob>}
+ */
+const ongoingJobs = new Map();
+
+/**
+ * Ids of the clients which requested the jobs not over yet, by job id
+ * @type {Map<number, Set<string>>}
+ */
+const jobClients = new Map();
+
+/**
+ * Requests attached to the jobs not over yet, by job id; a job is only
+ * cancelled for good once all its requests were cancelled. Requests without
+ * id are anonymous and keep the job going until it is cancelled for all.
+ * @type {Map<number, Set<string|Symbol>>}
+ */
+const jobRequests = new Map();
+
+/**
+ * Ids of the clients receiving the status of every job
+ * @type {Set<string>}
+ */
+const broadcastClients = new Set();
+
+/**
+ * Finished jobs which can be reused by identical requests, most recent first
+ * @type {Array<{status: PrintStatus, time: number}>}
+ */
+const cachedJobs = [];
+
+/**
+ * @typedef {Object} JobOptions
+ * @property {number} [priority] Job priority; overrides the one in the spec.
+ * @property {string} [clientId] Id of the client requesting the job, which
+ * will receive the job status updates.
+ * @property {string} [requestId] Id of the request from the main thread,
+ * echoed back in the job status so that it can be bound to the request.
+ */
+
+/**
+ * Add a new job in the queue; it will start as soon as the number of
+ * ongoing jobs allows it, jobs with a higher priority starting first.
+ * If the job cache is enabled and a job with an identical spec is not over
+ * or finished recently, that job is reused instead.
  * Note: this will broadcast the job status updates to the main thread
- * until the job is over.
+ * until the job is over. Specs of a previous version are migrated before the
+ * job starts, but the job status keeps the spec as received.
  * @param {PrintSpec} spec
+ * @param {JobOptions} [options]
+ * @return {number} Job id
  */
-export async function createJob(spec) {
-  registerProjections(spec.projectionDefinitions);
-  const sizeInPixel = calculateSizeInPixel(spec);
-  const frameState = await getFrameState(spec, sizeInPixel);
+export function createJob(spec, options) {
+  let { priority, clientId, requestId } = options || {};
+
+  const identicalJob = findIdenticalJob(spec);
+  if (identicalJob) {
+    if (!isJobOver(identicalJob)) {
+      jobClients.get(identicalJob.id).add(clientId);
+      jobRequests.get(identicalJob.id).add(requestId || Symbol());
+    }
+    messageToMain(
+      MESSAGE_JOB_STATUS,
+      { status: { ...identicalJob, requestId } },
+      clientId
+    );
+    return identicalJob.id;
+  }
 
   /**
    * @type {PrintStatus}
    */
   const job = {
     id: counter++,
+    requestId,
     spec,
     status: 'pending',
     progress: 0,
+    estimatedTimeRemaining: null,
     sourceLoadErrors: [],
   };
+  if (priority === undefined) {
+    priority = spec.priority || 0;
+  }
+
+  const warnings = [];
+  const migratedSpec = migrateSpec(spec, warnings);
+  warnings.forEach((warning) =>
+    console.warn(`[inkmap] Job ${job.id}: ${warning.message}`)
+  );
+
+  jobClients.set(job.id, new Set([clientId]));
+  jobRequests.set(job.id, new Set([requestId || Symbol()]));
+  sendStatus(job);
+
+  const index = pendingJobs.findIndex((pending) => pending.priority < priority);
+  pendingJobs.splice(index > -1 ? index : pendingJobs.length, 0, {
+    job,
+    spec: migratedSpec,
+    priority,
+    paused: false,
+  });
+  startPendingJobs();
+
+  return job.id;
+}
+
+/**
+ * Starts pending jobs until the maximum number of ongoing jobs is reached
+ */
+export function startPendingJobs() {
+  const { maxConcurrentJobs } = getPrinterOptions();
+  while (ongoingJobs.size < maxConcurrentJobs) {
+    const index = pendingJobs.findIndex(({ paused }) => !paused);
+    if (index === -1) {
+      break;
+    }
+    const { job, spec } = pendingJobs.splice(index, 1)[0];
+    startJob(job, spec).catch((error) => failJob(job, error));
+  }
+}
+
+/**
+ * @param {PrintStatus} job
+ * @param {PrintSpec} spec Job spec, migrated to the current version.
+ */
+async function startJob(job, spec) {
+  let lastStatus = job;
+  let subscription = null;
+  let frameStates = [];
+  const paused$ = new BehaviorSubject(false);
+  const startTime = Date.now();
+  let pausedTime = 0;
+  let pauseStartTime = null;
+
+  ongoingJobs.set(job.id, {
+    cancel: () => {
+      if (subscription) {
+        subscription.unsubscribe();
+      }
+      frameStates.forEach((frameState) => frameState.tileQueue.clear());
+      sendStatus({
+        ...lastStatus,
+        imageBlob: null,
+        status: 'cancelled',
+        estimatedTimeRemaining: null,
+      });
+    },
+    setPaused: (paused) => {
+      if (paused === paused$.getValue()) {
+        return;
+      }
+      if (paused) {
+        pauseStartTime = Date.now();
+      } else {
+        pausedTime += Date.now() - pauseStartTime;
+      }
+      sendStatus({
+        ...lastStatus,
+        status: paused ? 'paused' : 'ongoing',
+        estimatedTimeRemaining: paused
+          ? null
+          : lastStatus.estimatedTimeRemaining,
+      });
+      paused$.next(paused);
+    },
+    getStatus: () => lastStatus,
+  });
+
+  if (!Array.isArray(spec.layers) || !spec.layers.length) {
+    throw new PrintError(
+      ERROR_NO_LAYERS,
+      'The spec does not contain any layer',
+      'layers'
+    );
+  }
+  if (
+    spec.pages !== undefined &&
+    (!Array.isArray(spec.pages) || !spec.pages.length)
+  ) {
+    throw new PrintError(
+      ERROR_NO_PAGES,
+      'The spec does not contain any page',
+      'pages'
+    );
+  }
+
+  registerProjections(spec.projectionDefinitions);
+  const sizeInPixel = calculateSizeInPixel(spec);
+  checkPageSize(sizeInPixel);
+  const projection = await getSpecProjection(spec);
+
+  // job was cancelled in the meantime
+  if (!ongoingJobs.has(job.id)) {
+    return;
+  }
 
-  const context = createCanvasContext2D(sizeInPixel[0], sizeInPixel[1]);
+  const pageSpecs = spec.pages
+    ? spec.pages.map((page) => getPageSpec(spec, page, projection, sizeInPixel))
+    : [spec];
+  frameStates = pageSpecs.map((pageSpec) =>
+    getFrameState(pageSpec, sizeInPixel, projection)
+  );
+
+  // the job timeout runs once for all the pages
+  const jobTimeout$ = new ReplaySubject(1);
+  // tiles loaded for a page are reused by the following ones
+  const sources = new Map();
+  const pageCount = pageSpecs.length;
+  const imageBlobs = [];
+  let sourceLoadErrors = [];
 
-  combineLatest(
-    spec.layers.map((layer) => {
-      return createLayer(layer, frameState);
-    })
-  )
+  const pages$ = pageSpecs.map((pageSpec, pageIndex) =>
+    printPage(
+      pageSpec,
+      frameStates[pageIndex],
+      jobTimeout$,
+      paused$,
+      sources
+    ).pipe(
+      map(([pageProgress, imageBlob, pageSourceLoadErrors, layers]) => {
+        if (!spec.pages) {
+          return {
+            progress: pageProgress,
+            imageBlob,
+            sourceLoadErrors: pageSourceLoadErrors,
+            layers,
+          };
+        }
+
+        const allSourceLoadErrors = [
+          ...sourceLoadErrors,
+          ...pageSourceLoadErrors.map((error) => ({
+            ...error,
+            page: pageIndex,
+          })),
+        ];
+        if (pageProgress === 1) {
+          imageBlobs.push(imageBlob);
+          sourceLoadErrors = allSourceLoadErrors;
+        }
+        const finished = pageProgress === 1 && pageIndex === pageCount - 1;
+        // rounding must not make the job look finished before the last page
+        const progress = finished
+          ? 1
+          : Math.min(
+              parseFloat(((pageIndex + pageProgress) / pageCount).toFixed(4)),
+              0.9999
+            );
+        return {
+          progress,
+          imageBlob: null,
+          imageBlobs: finished ? imageBlobs : null,
+          sourceLoadErrors: allSourceLoadErrors,
+          layers,
+          pages: pageSpecs.map((_, i) =>
+            getPageStatus(i, pageIndex, pageProgress)
+          ),
+        };
+      })
+    )
+  );
+
+  subscription = concat(...pages$)
     .pipe(
-      switchMap((layerStates) => {
-        const allReady = layerStates.every(([progress]) => progress === 1);
-        let sourceLoadErrors = [];
+      map((pageStatus) => {
+        const { progress } = pageStatus;
+        const paused = progress < 1 && paused$.getValue();
+        let status = progress === 1 ? 'finished' : 'ongoing';
+        if (paused) {
+          status = 'paused';
+        }
+        return {
+          ...job,
+          ...pageStatus,
+          status,
+          estimatedTimeRemaining: paused
+            ? null
+            : estimateTimeRemaining(
+                progress,
+                Date.now() - startTime - pausedTime
+              ),
+        };
+      }),
+      takeWhile((jobStatus) => jobStatus.progress < 1, true)
+    )
+    .subscribe({
+      next: (status) => {
+        lastStatus = status;
+        sendStatus(status);
+      },
+      error: (error) => failJob(lastStatus, error),
+      complete: () => {
+        cacheJob(lastStatus);
+        endJob(job.id);
+      },
+    });
+  subscription.add(
+    createTimeout(
+      spec.timeout,
+      `The job did not finish within ${spec.timeout} ms`,
+      'timeout',
+      paused$
+    ).subscribe(jobTimeout$)
+  );
+}
+
+/**
+ * Throws if the page canvas would be larger than browsers can create, in which
+ * case the printed image would be blank
+ * @param {[number, number]} sizeInPixel
+ */
+function checkPageSize([width, height]) {
+  const { maxPagePixels } = getPrinterOptions();
+  if (width > MAX_PAGE_SIZE || height > MAX_PAGE_SIZE) {
+    throw new PrintError(
+      ERROR_PAGE_TOO_LARGE,
+      `The page size of ${width}x${height} pixels exceeds the maximum of ${MAX_PAGE_SIZE} pixels per side; lower the dpi or the size`,
+      'size'
+    );
+  }
+  if (width * height > maxPagePixels) {
+    throw new PrintError(
+      ERROR_PAGE_TOO_LARGE,
+      `The page size of ${width}x${height} pixels exceeds the maximum of ${maxPagePixels} pixels in total; lower the dpi or the size`,
+      'size'
+    );
+  }
+}
+
+/**
+ * Returns an observable printing a single page, which emits the page progress
+ * and finally the page image blob before completing
+ * Note: the layers only start loading once subscribed. A page larger than the
+ * maximum canvas size is printed in several blocks, one after the other, which
+ * are all drawn on a canvas of the size of the page.
+ * @param {PrintSpec} spec Spec of the page.
+ * @param {FrameState} frameState
+ * @param {Observable<PrintError>} jobTimeout$
+ * @param {Observable<boolean>} paused$
+ * @param {TileSourceCache} sources
+ * @return {Observable<[number, Blob|null, SourceLoadError[], LayerStatus[]]>}
+ * Progress, image blob, source load errors and layers status of the page.
+ */
+function printPage(spec, frameState, jobTimeout$, paused$, sources) {
+  return defer(() => {
+    const [width, height] = frameState.size;
+    const context = createCanvasContext2D(width, height);
+    const blocks = getBlocks(frameState, getPrinterOptions().maxCanvasSize);
+
+    // layer timeouts run once for all the blocks
+    const timedOutLayers = new Set();
+    const layerTimeouts$ = spec.layers.map(() => new ReplaySubject(1));
+    const timeoutSubscriptions = spec.layers.map((layer, index) =>
+      createTimeout(
+        layer.timeout,
+        `Layer ${index} did not finish within ${layer.timeout} ms`,
+        `layers[${index}].timeout`,
+        paused$
+      ).subscribe(layerTimeouts$[index])
+    );
+
+    // final state of each layer in the blocks printed so far
+    const blockLayerStates = [];
+
+    const blocks$ = blocks.map((block, blockIndex) =>
+      defer(() => {
+        const drawLayer = createLayerCompositor(
+          context,
+          block,
+          spec.layers.length
+        );
+        const layers$ = spec.layers.map((layer, index) => {
+          const layer$ = createLayer(layer, block.frameState, paused$, sources);
+          if (!layer$) {
+            throw new PrintError(
+              ERROR_UNKNOWN_LAYER_TYPE,
+              `Unknown layer type: ${layer.type}`,
+              `layers[${index}].type`
+            );
+          }
+          return applyTimeout(
+            layer$,
+            merge(jobTimeout$, layerTimeouts$[index]),
+            spec.timeoutPolicy,
+            layer.url,
+            () => timedOutLayers.add(index)
+          ).pipe(
+            // the canvas is drawn right away and not kept in the layer state
+            concatMap(([progress, canvasImage, ...layerState]) => {
+              const state = [progress, null, ...layerState];
+              if (progress < 1) {
+                return of(state);
+              }
+              return concat(
+                drawLayer(index, canvasImage).pipe(ignoreElements()),
+                of(state)
+              );
+            })
+          );
+        });
+        return combineLatest(layers$).pipe(
+          map((layerStates) => [blockIndex, layerStates]),
+          takeWhile(
+            ([, layerStates]) =>
+              !layerStates.every(([progress]) => progress === 1),
+            true
+          ),
+          tap(([, layerStates]) => {
+            if (layerStates.every(([progress]) => progress === 1)) {
+              blockLayerStates.push(layerStates);
+            }
+          })
+        );
+      })
+    );
+
+    return concat(...blocks$).pipe(
+      switchMap(([blockIndex, layerStates]) => {
+        const blockCount = blocks.length;
+        const layerStatesByBlock = [
+          ...blockLayerStates.slice(0, blockIndex),
+          layerStates,
+        ];
+        const layers = spec.layers.map((_, i) =>
+          getLayerStatus(
+            layerStatesByBlock.map((blockStates) => blockStates[i]),
+            blockCount,
+            timedOutLayers.has(i)
+          )
+        );
+        const allReady =
+          blockIndex === blockCount - 1 &&
+          layerStates.every(([progress]) => progress === 1);
 
         if (allReady) {
-          for (let i = 0; i < layerStates.length; i++) {
-            const canvasImage = layerStates[i][1];
-            const errorUrl = layerStates[i][2];
-            context.drawImage(canvasImage, 0, 0);
-            if (errorUrl) {
+          let sourceLoadErrors = [];
+          for (let i = 0; i < spec.layers.length; i++) {
+            const errorState = layerStatesByBlock
+              .map((blockStates) => blockStates[i])
+              .find(([, , errorUrl]) => errorUrl);
+            const errorUrl = errorState ? errorState[2] : undefined;
+            if (timedOutLayers.has(i)) {
+              sourceLoadErrors.push({
+                url: errorUrl,
+                timedOut: true,
+              });
+            } else if (errorUrl) {
               sourceLoadErrors.push({
                 url: errorUrl,
               });
@@ -72,50 +555,544 @@ export async function createJob(spec) {
             printScaleBar(context, frameState, spec);
           }
           return canvasToBlob(context.canvas).pipe(
-            map((blob) => [1, blob, sourceLoadErrors])
+            map((blob) => [1, blob, sourceLoadErrors, layers])
           );
         } else {
-          const rawProgress =
-            layerStates.reduce((prev, [progress]) => progress + prev, 0) /
-            layerStates.length;
-          const progress = parseFloat(rawProgress.toFixed(4)); // only keep 4 digits precision
+          // each layer progress is weighted by the amount of requests it needs
+          const weights = layerStates.map(([, , , weight]) =>
+            weight !== undefined ? weight : 1
+          );
+          const totalWeight = weights.reduce((prev, weight) => prev + weight);
+          const blockProgress = totalWeight
+            ? layerStates.reduce(
+                (prev, [progress], i) => prev + progress * weights[i],
+                0
+              ) / totalWeight
+            : 0;
+          const rawProgress = (blockIndex + blockProgress) / blockCount;
+          // only keep 4 digits precision, without reaching 1 before the end
+          const progress = Math.min(parseFloat(rawProgress.toFixed(4)), 0.9999);
 
-          return of([progress, null, sourceLoadErrors]);
+          return of([progress, null, [], layers]);
         }
       }),
-      map(([progress, imageBlob, sourceLoadErrors]) => {
-        return {
-          ...job,
-          progress,
-          imageBlob,
-          status: progress === 1 ? 'finished' : 'ongoing',
-          sourceLoadErrors,
-        };
+      takeWhile(([progress]) => progress < 1, true),
+      finalize(() =>
+        timeoutSubscriptions.forEach((subscription) =>
+          subscription.unsubscribe()
+        )
+      )
+    );
+  });
+}
+
+/**
+ * Returns a function receiving the finished canvas of each layer in a block,
+ * in any order, and drawing them on the page canvas in the order of the
+ * layers; this way, a canvas is only kept until the previous layers are drawn.
+ * The returned observable completes once all the canvases which could be
+ * drawn so far are drawn.
+ * @param {CanvasRenderingContext2D} context Page canvas context.
+ * @param {{frameState: FrameState, offset: [number, number]}} block
+ * @param {number} layerCount
+ * @return {function(number, HTMLCanvasElement|OffscreenCanvas|null): Observable<void>}
+ */
+function createLayerCompositor(context, block, layerCount) {
+  const readyCanvases = new Map();
+  let drawnCount = 0;
+  let drawing$ = EMPTY;
+  return (index, canvasImage) => {
+    readyCanvases.set(index, canvasImage);
+    while (drawnCount < layerCount && readyCanvases.has(drawnCount)) {
+      const canvasToDraw = readyCanvases.get(drawnCount);
+      readyCanvases.delete(drawnCount);
+      if (canvasToDraw) {
+        // draws are chained so that layers are drawn in order
+        drawing$ = concat(
+          drawing$,
+          drawCanvas(context, canvasToDraw, block)
+        ).pipe(shareReplay({ bufferSize: 1, refCount: false }));
+      }
+      drawnCount++;
+    }
+    return drawing$;
+  };
+}
+
+/**
+ * Returns an observable drawing a layer canvas on the page canvas in
+ * horizontal strips, each strip being drawn in a separate task
+ * @param {CanvasRenderingContext2D} context Page canvas context.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvasImage
+ * @param {{frameState: FrameState, offset: [number, number]}} block
+ * @return {Observable<void>}
+ */
+function drawCanvas(context, canvasImage, block) {
+  const [width, height] = block.frameState.size;
+  const [offsetX, offsetY] = block.offset;
+  const stripHeight = Math.max(1, Math.floor(STRIP_PIXEL_COUNT / width));
+  const strips$ = [];
+  for (let y = 0; y < height; y += stripHeight) {
+    const h = Math.min(stripHeight, height - y);
+    strips$.push(
+      scheduleTask(() =>
+        context.drawImage(
+          canvasImage,
+          0,
+          y,
+          width,
+          h,
+          offsetX,
+          offsetY + y,
+          width,
+          h
+        )
+      )
+    );
+  }
+  return concat(...strips$);
+}
+
+/**
+ * Returns the spec of an atlas page: the page center, scale or extent
+ * override the ones of the atlas spec; an extent, or the extent of a
+ * geometry, is converted to the center and scale fitting it in the map.
+ * @param {PrintSpec} spec Atlas spec.
+ * @param {AtlasPage} page
+ * @param {Projection} projection
+ * @param {Array<number>} sizeInPixel
+ * @return {PrintSpec}
+ */
+function getPageSpec(spec, page, projection, sizeInPixel) {
+  const { geometry, extent, ...view } = page;
+  const pageSpec = { ...spec, ...view };
+  delete pageSpec.pages;
+
+  let lonLatExtent = extent;
+  if (geometry) {
+    lonLatExtent = new GeoJSON().readGeometry(geometry).getExtent();
+  }
+  if (lonLatExtent) {
+    const fitExtent = transformExtent(lonLatExtent, 'EPSG:4326', projection);
+    const resolution = Math.max(
+      getWidth(fitExtent) / sizeInPixel[0],
+      getHeight(fitExtent) / sizeInPixel[1]
+    );
+    pageSpec.center = toLonLat(getCenter(fitExtent), projection);
+    pageSpec.scale = Math.ceil(
+      resolution * spec.dpi * INCH_PER_METER * projection.getMetersPerUnit()
+    );
+  }
+  return pageSpec;
+}
+
+/**
+ * @param {number} index Index of the page.
+ * @param {number} currentIndex Index of the page being printed.
+ * @param {number} currentProgress Progress of the page being printed.
+ * @return {PageStatus}
+ */
+function getPageStatus(index, currentIndex, currentProgress) {
+  if (
+    index < currentIndex ||
+    (index === currentIndex && currentProgress === 1)
+  ) {
+    return { progress: 1, state: 'done' };
+  }
+  if (index === currentIndex) {
+    return { progress: currentProgress, state: 'loading' };
+  }
+  return { progress: 0, state: 'pending' };
+}
+
+/**
+ * Ends an ongoing job and broadcasts a final status with a `failed` state
+ * Note: this does nothing if the job is not ongoing anymore.
+ * @param {PrintStatus} lastStatus
+ * @param {Error} error
+ */
+function failJob(lastStatus, error) {
+  if (!ongoingJobs.has(lastStatus.id)) {
+    return;
+  }
+  console.error(`[inkmap] Job ${lastStatus.id} failed:`, error);
+  sendStatus({
+    ...lastStatus,
+    imageBlob: null,
+    status: 'failed',
+    error: serializeError(error),
+    estimatedTimeRemaining: null,
+  });
+  endJob(lastStatus.id);
+}
+
+/**
+ * Returns the status of a job with a spec identical to the given one, which
+ * is either not over yet or finished within the cache TTL
+ * @param {PrintSpec} spec
+ * @return {PrintStatus|null} Job status, or null if the job cache is
+ * disabled or no such job is found.
+ */
+function findIdenticalJob(spec) {
+  const { size, ttl } = getJobCacheOptions();
+  if (!size) {
+    return null;
+  }
+
+  const pending = pendingJobs.find(({ job }) => areSpecsEqual(job.spec, spec));
+  if (pending) {
+    return pending.paused ? { ...pending.job, status: 'paused' } : pending.job;
+  }
+
+  for (const ongoingJob of ongoingJobs.values()) {
+    const status = ongoingJob.getStatus();
+    if (areSpecsEqual(status.spec, spec)) {
+      return status;
+    }
+  }
+
+  const now = Date.now();
+  while (
+    cachedJobs.length > size ||
+    (cachedJobs.length && now - cachedJobs[cachedJobs.length - 1].time > ttl)
+  ) {
+    cachedJobs.pop();
+  }
+  const cached = cachedJobs.find(({ status }) =>
+    areSpecsEqual(status.spec, spec)
+  );
+  return cached ? cached.status : null;
+}
+
+/**
+ * Keeps a finished job to be reused by identical requests, dropping the
+ * oldest cached jobs if needed
+ * Note: this does nothing if the job cache is disabled.
+ * @param {PrintStatus} status
+ */
+function cacheJob(status) {
+  const { size } = getJobCacheOptions();
+  cachedJobs.unshift({ status, time: Date.now() });
+  cachedJobs.splice(size);
+}
+
+/**
+ * Sends a job status to the clients which requested the job, as well as
+ * to the clients receiving the status of every job
+ * Note: in a service worker, new and finished jobs are also stored to be
+ * available after a page reload.
+ * @param {PrintStatus} status
+ */
+function sendStatus(status) {
+  const clientIds = jobClients.get(status.id) || new Set();
+  const over = isJobOver(status);
+  if (over) {
+    jobClients.delete(status.id);
+    jobRequests.delete(status.id);
+  }
+  if (isServiceWorker() && (over || status.status === 'pending')) {
+    writeJobStatus(status).catch((error) =>
+      console.error(`[inkmap] Could not store job ${status.id}:`, error)
+    );
+  }
+  clientIds.forEach((clientId) =>
+    messageToMain(MESSAGE_JOB_STATUS, { status }, clientId)
+  );
+  broadcastClients.forEach((broadcastClientId) => {
+    if (!clientIds.has(broadcastClientId)) {
+      messageToMain(MESSAGE_JOB_STATUS, { status }, broadcastClientId);
+    }
+  });
+}
+
+/**
+ * Marks the unfinished jobs found in the storage as failed, since no job can
+ * be running when the printer starts; also makes sure that new job ids do not
+ * collide with the stored ones.
+ * @return {Promise<void>} Resolves once the storage has been read, even if
+ * this failed.
+ */
+export function restoreStoredJobs() {
+  return readStoredJobs()
+    .then((jobs) =>
+      Promise.all(
+        jobs.map((job) => {
+          counter = Math.max(counter, job.id + 1);
+          if (isJobOver(job)) {
+            return;
+          }
+          return writeJobStatus({
+            ...job,
+            status: 'failed',
+            error: serializeError(
+              new PrintError(
+                ERROR_INTERRUPTED,
+                'The job was interrupted before finishing'
+              )
+            ),
+          });
+        })
+      )
+    )
+    .then(
+      () => undefined,
+      (error) =>
+        console.error('[inkmap] Could not restore the stored jobs:', error)
+    );
+}
+
+/**
+ * Enables or disables sending the status of every job to a client,
+ * including jobs requested by other clients
+ * @param {string} clientId
+ * @param {boolean} enabled
+ */
+export function setJobsBroadcast(clientId, enabled) {
+  if (enabled) {
+    broadcastClients.add(clientId);
+  } else {
+    broadcastClients.delete(clientId);
+  }
+}
+
+/**
+ * Returns an observable emitting a `PrintError` once the delay is elapsed, or
+ * never if no delay is given; the time spent paused is not counted.
+ * @param {number} [delay] Delay in milliseconds.
+ * @param {string} message
+ * @param {string} path
+ * @param {Observable<boolean>} paused$
+ * @return {Observable<PrintError>}
+ */
+function createTimeout(delay, message, path, paused$) {
+  if (!delay) {
+    return NEVER;
+  }
+  return defer(() => {
+    let remaining = delay;
+    let resumeTime = null;
+    return paused$.pipe(
+      distinctUntilChanged(),
+      switchMap((paused) => {
+        if (paused) {
+          if (resumeTime !== null) {
+            remaining -= Date.now() - resumeTime;
+          }
+          resumeTime = null;
+          return NEVER;
+        }
+        resumeTime = Date.now();
+        return timer(Math.max(remaining, 0));
       }),
-      takeWhile((jobStatus) => jobStatus.progress < 1, true)
+      map(() => new PrintError(ERROR_TIMEOUT, message, path))
+    );
+  });
+}
+
+/**
+ * Stops loading a layer when the timeout observable emits; depending on the
+ * policy, the job will either fail or be printed without this layer.
+ * Note: requests left unfinished by the timeout are counted as failed.
+ * @param {Observable<LayerPrintStatus>} layer$
+ * @param {Observable<PrintError>} timeout$
+ * @param {'fail'|'partial'} [policy='fail']
+ * @param {string} url Layer url, used to report the timeout.
+ * @param {function(): void} onTimedOut Called when the layer is left out.
+ * @return {Observable<LayerPrintStatus>}
+ */
+function applyTimeout(layer$, timeout$, policy, url, onTimedOut) {
+  let lastState = [0];
+  return merge(
+    layer$.pipe(tap((layerState) => (lastState = layerState))),
+    timeout$.pipe(
+      take(1),
+      map((error) => {
+        if (policy !== 'partial') {
+          throw error;
+        }
+        onTimedOut();
+        const [progress, , , requestCount = 1, errorCount = 0] = lastState;
+        const unfinishedCount = Math.round((1 - progress) * requestCount);
+        return [1, null, url, requestCount, errorCount + unfinishedCount];
+      })
     )
-    .subscribe((status) => messageToMain(MESSAGE_JOB_STATUS, { status }));
+  ).pipe(takeWhile(([progress]) => progress < 1, true));
 }
 
 /**
- * Returns an OpenLayers frame state for a given job spec
+ * Returns the status of a single layer, as exposed in the job status
+ * @param {LayerPrintStatus[]} layerStates State of the layer in each block
+ * printed so far, including the current one.
+ * @param {number} blockCount Number of blocks in the page.
+ * @param {boolean} timedOut
+ * @return {LayerStatus}
+ */
+function getLayerStatus(layerStates, blockCount, timedOut) {
+  let progress = 0;
+  let settledCount = 0;
+  let requestCount = 0;
+  let errorCount = 0;
+  layerStates.forEach(
+    ([blockProgress, , , blockRequestCount = 1, blockErrorCount = 0]) => {
+      progress += blockProgress / blockCount;
+      settledCount += Math.round(blockProgress * blockRequestCount);
+      requestCount += blockRequestCount;
+      errorCount += blockErrorCount;
+    }
+  );
+  let state = 'loading';
+  const [lastProgress] = layerStates[layerStates.length - 1];
+  if (layerStates.length === blockCount && lastProgress === 1) {
+    progress = 1;
+    state = timedOut || errorCount === requestCount ? 'failed' : 'done';
+  }
+  return {
+    progress: parseFloat(progress.toFixed(4)),
+    loadedCount: settledCount - errorCount,
+    totalCount: requestCount,
+    errorCount,
+    state,
+  };
+}
+
+/**
+ * Estimates the time needed to finish a job based on the progress made so far
+ * @param {number} progress Job progress, from 0 to 1.
+ * @param {number} elapsed Time spent on the job so far, in milliseconds.
+ * @return {number|null} Remaining time in milliseconds, or null if no
+ * estimation can be made yet.
+ */
+function estimateTimeRemaining(progress, elapsed) {
+  if (progress >= 1) {
+    return 0;
+  }
+  if (progress <= 0) {
+    return null;
+  }
+  return Math.round((elapsed * (1 - progress)) / progress);
+}
+
+/**
+ * Frees the slot taken by an ongoing job
+ * @param {number} jobId
+ */
+function endJob(jobId) {
+  ongoingJobs.delete(jobId);
+  startPendingJobs();
+}
+
+/**
+ * Cancels a pending or ongoing job: layers stop loading, pending requests are
+ * aborted and a final status with a `cancelled` state is broadcast.
+ * If a request id is given, only this request is detached from the job, which
+ * is cancelled once no other request is attached to it.
+ * Note: this does nothing if the job is unknown or already over.
+ * @param {number} jobId
+ * @param {string} [requestId] Id of the request giving up on the job.
+ */
+export function cancelJob(jobId, requestId) {
+  const requests = jobRequests.get(jobId);
+  if (requestId !== undefined && requests) {
+    requests.delete(requestId);
+    if (requests.size) {
+      return;
+    }
+  }
+
+  const pendingIndex = pendingJobs.findIndex(({ job }) => job.id === jobId);
+  if (pendingIndex > -1) {
+    const { job } = pendingJobs.splice(pendingIndex, 1)[0];
+    sendStatus({ ...job, status: 'cancelled' });
+    return;
+  }
+
+  const ongoingJob = ongoingJobs.get(jobId);
+  if (!ongoingJob) {
+    return;
+  }
+  ongoingJob.cancel();
+  endJob(jobId);
+}
+
+/**
+ * Pauses a pending or ongoing job: a pending job will not start, and an
+ * ongoing job stops loading new tiles and sending new requests, while keeping
+ * what was already loaded. A status with a `paused` state is broadcast.
+ * Note: this does nothing if the job is unknown, already paused or over.
+ * @param {number} jobId
+ */
+export function pauseJob(jobId) {
+  setJobPaused(jobId, true);
+}
+
+/**
+ * Resumes a paused job, which goes back to its `pending` or `ongoing` state.
+ * Note: this does nothing if the job is unknown or not paused.
+ * @param {number} jobId
+ */
+export function resumeJob(jobId) {
+  setJobPaused(jobId, false);
+}
+
+/**
+ * @param {number} jobId
+ * @param {boolean} paused
+ */
+function setJobPaused(jobId, paused) {
+  const pending = pendingJobs.find(({ job }) => job.id === jobId);
+  if (pending) {
+    if (pending.paused !== paused) {
+      pending.paused = paused;
+      sendStatus({ ...pending.job, status: paused ? 'paused' : 'pending' });
+      startPendingJobs();
+    }
+    return;
+  }
+
+  const ongoingJob = ongoingJobs.get(jobId);
+  if (ongoingJob) {
+    ongoingJob.setPaused(paused);
+  }
+}
+
+/**
+ * Returns the projection of a job spec, looking it up on epsg.io if it is an
+ * unknown EPSG code
  * @param {PrintSpec} spec
- * @param {Array} sizeInPixel
- * @return {FrameState}
+ * @return {Promise<Projection>}
  */
-async function getFrameState(spec, sizeInPixel) {
+async function getSpecProjection(spec) {
   let projection = getProjection(spec.projection);
 
-  if (!projection && spec.projection.startsWith('EPSG:')) {
+  if (!projection && spec.projection && spec.projection.startsWith('EPSG:')) {
     const splitted = spec.projection.split(':');
-    const { name, proj4def, bbox } = await searchProjection(splitted[1]);
-    registerWithExtent(name, proj4def, bbox);
-    projection = getProjection(spec.projection);
+    const result = await searchProjection(splitted[1]).catch(() => undefined);
+    if (result) {
+      registerWithExtent(result.name, result.proj4def, result.bbox);
+      projection = getProjection(spec.projection);
+    }
+  }
+
+  if (!projection) {
+    throw new PrintError(
+      ERROR_UNKNOWN_PROJECTION,
+      `Unknown projection: ${spec.projection}`,
+      'projection'
+    );
   }
+  return projection;
+}
 
-  const inchPerMeter = 39.3701;
+/**
+ * Returns an OpenLayers frame state for a given job spec
+ * @param {PrintSpec} spec
+ * @param {Array} sizeInPixel
+ * @param {Projection} projection
+ * @return {FrameState}
+ */
+function getFrameState(spec, sizeInPixel, projection) {
   const resolution =
-    spec.scale / spec.dpi / inchPerMeter / projection.getMetersPerUnit();
+    spec.scale / spec.dpi / INCH_PER_METER / projection.getMetersPerUnit();
 
   const viewState = {
     center: fromLonLat(spec.center, projection),
@@ -124,6 +1101,51 @@ async function getFrameState(spec, sizeInPixel) {
     rotation: 0,
   };
 
+  return createFrameState(viewState, sizeInPixel);
+}
+
+/**
+ * Returns the blocks in which a page is printed: a page larger than the
+ * maximum canvas size is split in horizontal strips, and in columns if its
+ * width is also too large, each block having its own frame state
+ * @param {FrameState} frameState Frame state of the page.
+ * @param {number} maxSize Maximum width and height of a block, in pixels.
+ * @return {Array<{frameState: FrameState, offset: [number, number]}>}
+ */
+function getBlocks(frameState, maxSize) {
+  const [width, height] = frameState.size;
+  if (width <= maxSize && height <= maxSize) {
+    return [{ frameState, offset: [0, 0] }];
+  }
+
+  const { resolution } = frameState.viewState;
+  const blocks = [];
+  for (let y = 0; y < height; y += maxSize) {
+    for (let x = 0; x < width; x += maxSize) {
+      const size = [
+        Math.min(maxSize, width - x),
+        Math.min(maxSize, height - y),
+      ];
+      const center = [
+        frameState.extent[0] + (x + size[0] / 2) * resolution,
+        frameState.extent[3] - (y + size[1] / 2) * resolution,
+      ];
+      blocks.push({
+        frameState: createFrameState({ ...frameState.viewState, center }, size),
+        offset: [x, y],
+      });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Returns an OpenLayers frame state for a given view state and size
+ * @param {ViewState} viewState
+ * @param {Array} sizeInPixel
+ * @return {FrameState}
+ */
+function createFrameState(viewState, sizeInPixel) {
   const frameState = {
     animate: false,
     coordinateToPixelTransform: [1, 0, 0, 1, 0, 0],
@@ -10,11 +10,26 @@ import ImageLayer from 'ol/layer/Image';
 import VectorLayer from 'ol/layer/Vector';
 import { bbox } from 'ol/loadingstrategy';
 import { createCanvasContext2D } from 'ol/dom';
-import { BehaviorSubject, interval } from 'rxjs';
-import { map, startWith, takeWhile, throttleTime } from 'rxjs/operators';
+import { BehaviorSubject, interval, NEVER, of, Subscription } from 'rxjs';
+import {
+  concatMap,
+  filter,
+  finalize,
+  startWith,
+  switchMap,
+  take,
+  takeWhile,
+  throttleTime,
+} from 'rxjs/operators';
 import { isWorker } from '../worker/utils';
 import WMTSTileGrid from 'ol/tilegrid/WMTS';
 import { extentFromProjection } from 'ol/tilegrid';
+import TileState from 'ol/TileState';
+import { getUid } from 'ol/util';
+import { unByKey } from 'ol/Observable';
+import { getProxy, getRetryPolicy } from './options';
+import { fetchWithRetry, getRequestInit, loadImage } from './requests';
+import { scheduleTask } from './scheduler';
 import { setFrameState, useContainer, generateGetFeatureUrl } from './utils';
 
 const update$ = interval(500);
@@ -23,143 +38,273 @@ const update$ = interval(500);
  * @typedef {Array} LayerPrintStatus
  * @property {number} 0 Progress, from 0 to 1.
  * @property {HTMLCanvasElement|OffscreenCanvas|null} 1 Canvas on which the layer is printed, or null if progress < 1.
+ * @property {string} [2] Url of the source if an error occurred while loading it.
+ * @property {number} [3] Number of requests (tiles, images...) needed to print the layer; used to weigh the layer progress. Defaults to 1.
+ * @property {number} [4] Number of requests which failed. Defaults to 0.
  */
 
+/**
+ * Function returning an observable emitting the printing status of a layer;
+ * the observable must emit a final value with a progress of 1 and the
+ * finished canvas, and complete. Unsubscribing before that should abort
+ * pending requests.
+ * @typedef {function(Layer, FrameState, Observable<boolean>, TileSourceCache=): Observable<LayerPrintStatus>} LayerFactory
+ */
+
+/**
+ * Layer factories, by layer type
+ * @type {Map<string, LayerFactory>}
+ */
+const layerFactories = new Map([
+  ['XYZ', createLayerXYZ],
+  ['WMS', createLayerWMS],
+  ['WMTS', createLayerWMTS],
+  ['WFS', createLayerWFS],
+]);
+
+/**
+ * Registers a factory for printing the layers of a given type; a factory
+ * already registered for this type, including a built-in one, is replaced.
+ * @param {string} type Layer type, as found in the `type` property of the
+ * layer spec.
+ * @param {LayerFactory} factory
+ */
+export function registerLayerType(type, factory) {
+  layerFactories.set(type, factory);
+}
+
 /**
  * Returns an observable emitting the printing status for this layer
  * The observable will emit a final value with the finished canvas
- * and complete.
+ * and complete. Unsubscribing before that will abort pending requests.
  * @param {Layer} layerSpec
  * @param {FrameState} rootFrameState
- * @return {Observable<LayerPrintStatus>}
+ * @param {Observable<boolean>} [paused$] Emits true when the job is paused,
+ * in which case no new request is sent until it emits false.
+ * @param {TileSourceCache} [sources] Tile sources to reuse for tiled layers.
+ * @return {Observable<LayerPrintStatus>|undefined} Undefined if no factory
+ * is registered for the layer type.
  */
-export function createLayer(layerSpec, rootFrameState) {
-  switch (layerSpec.type) {
-    case 'XYZ':
-      return createLayerXYZ(layerSpec, rootFrameState);
-    case 'WMS':
-      return createLayerWMS(layerSpec, rootFrameState);
-    case 'WMTS':
-      return createLayerWMTS(layerSpec, rootFrameState);
-    case 'WFS':
-      return createLayerWFS(layerSpec, rootFrameState);
+export function createLayer(
+  layerSpec,
+  rootFrameState,
+  paused$ = of(false),
+  sources
+) {
+  const factory = layerFactories.get(layerSpec.type);
+  if (!factory) {
+    return undefined;
   }
+  return factory(layerSpec, rootFrameState, paused$, sources);
 }
 
 /**
- * @param {TileSource} source
+ * Calls the callback as soon as the job is not paused
+ * @param {Observable<boolean>} paused$
+ * @param {function(): void} callback
+ * @return {Subscription}
+ */
+function whenNotPaused(paused$, callback) {
+  return paused$
+    .pipe(
+      filter((paused) => !paused),
+      take(1)
+    )
+    .subscribe(callback);
+}
+
+/**
+ * @typedef {Object} SharedTileSource
+ * @property {TileSource} source
+ * @property {AbortSignal} signal Abort signal of the page currently loading
+ * tiles from the source.
+ */
+
+/**
+ * Tile sources shared between the pages of a job, by layer spec, so that
+ * tiles loaded for a page are reused by the following ones
+ * @typedef {Map<Layer, SharedTileSource>} TileSourceCache
+ */
+
+/**
+ * Prints a layer from an OpenLayers tile source, taking care of the tiles
+ * loading, retries and progress; this can be used by custom layer factories.
+ * @param {function(): TileSource} createSource
  * @param {FrameState} rootFrameState
- * @param {number} [opacity=1]
+ * @param {Layer} layerSpec
+ * @param {Observable<boolean>} paused$
+ * @param {TileSourceCache} [sources]
  * @return {Observable<LayerPrintStatus>}
  */
-function createTiledLayer(source, rootFrameState, opacity) {
+export function createTiledLayer(
+  createSource,
+  rootFrameState,
+  layerSpec,
+  paused$,
+  sources
+) {
   const width = rootFrameState.size[0];
   const height = rootFrameState.size[1];
   const context = createCanvasContext2D(width, height);
   context.canvas.style = {};
+  const retryPolicy = getRetryPolicy(layerSpec);
+  const requestInit = getRequestInit(layerSpec);
+  const proxy = getProxy(layerSpec);
+  const abortController = new AbortController();
   let frameState;
   let layer;
   let renderer;
   let tileLoadErrorUrl;
 
-  layer = new TileLayer({
-    transition: 0,
-    source,
-  });
-  layer.getSource().setTileLoadFunction(function (tile, src) {
-    const image = tile.getImage();
-
-    if (isWorker()) {
-      const tileSize = layer
-        .getSource()
-        .getTilePixelSize(
+  // the tile load function is only set once, since setting it again would
+  // clear the tiles cached by the source
+  let shared = sources && sources.get(layerSpec);
+  if (!shared) {
+    const source = createSource();
+    shared = { source, signal: null };
+    source.setTileLoadFunction(function (tile, src) {
+      const image = tile.getImage();
+
+      if (isWorker()) {
+        const tileSize = source.getTilePixelSize(
           0,
           rootFrameState.pixelRatio,
           rootFrameState.viewState.projection
         );
-      image.hintImageSize(tileSize[0], tileSize[1]);
+        image.hintImageSize(tileSize[0], tileSize[1]);
+      }
+
+      loadImage(image, src, retryPolicy, shared.signal, requestInit, proxy);
+    });
+    if (sources) {
+      sources.set(layerSpec, shared);
     }
+  }
+  shared.signal = abortController.signal;
+  const { source } = shared;
 
-    image.src = src;
+  layer = new TileLayer({
+    transition: 0,
+    source,
   });
 
-  layer.getSource().on('tileloaderror', function (e) {
+  const errorListenerKey = source.on('tileloaderror', function (e) {
     tileLoadErrorUrl = e.target.getUrls()[0];
   });
 
-  frameState = setFrameState(rootFrameState, layer, opacity);
+  frameState = setFrameState(rootFrameState, layer, layerSpec.opacity);
 
   renderer = layer.getRenderer();
   renderer.useContainer = useContainer.bind(renderer, context);
 
   renderer.renderFrame({ ...frameState, time: Date.now() }, context.canvas);
-  const tileCount = Object.keys(frameState.tileQueue.queuedElements_).length;
 
-  return update$.pipe(
-    startWith(true),
+  // the tile queue is shared with other layers: only keep track of the tiles
+  // enqueued for this layer source; tiles already loaded for a previous page
+  // are not enqueued again
+  const sourceKey = getUid(source);
+  const tiles = frameState.tileQueue.elements_
+    .filter(([, tileSourceKey]) => tileSourceKey === sourceKey)
+    .map(([tile]) => tile);
+  const getSettledCount = () =>
+    tiles.filter(
+      (tile) =>
+        tile.getState() !== TileState.IDLE &&
+        tile.getState() !== TileState.LOADING
+    ).length;
+  const getErrorCount = () =>
+    tiles.filter((tile) => tile.getState() === TileState.ERROR).length;
+
+  // tiles are only loaded while the job is not paused
+  return paused$.pipe(
+    switchMap((paused) => (paused ? NEVER : update$.pipe(startWith(true)))),
     takeWhile(() => {
       frameState.tileQueue.reprioritize();
       frameState.tileQueue.loadMoreTiles(12, 4);
-      return frameState.tileQueue.getTilesLoading();
+      return getSettledCount() < tiles.length;
     }, true),
-    map(() => {
-      let loadedTilesCount = Object.keys(frameState.tileQueue.queuedElements_)
-        .length;
-
-      let progress = 1 - loadedTilesCount / tileCount;
+    concatMap(() => {
+      const settledCount = getSettledCount();
 
-      // this is to make sure all tiles have finished loading before completing layer
-      if (progress === 1 && frameState.tileQueue.getTilesLoading() > 0) {
-        progress -= 0.001;
-      }
-
-      if (progress === 1) {
-        renderer.renderFrame(
-          { ...frameState, time: Date.now() },
-          context.canvas
-        );
-        return [1, context.canvas, tileLoadErrorUrl];
+      if (settledCount === tiles.length) {
+        return scheduleTask(() => {
+          renderer.renderFrame(
+            { ...frameState, time: Date.now() },
+            context.canvas
+          );
+          return [
+            1,
+            context.canvas,
+            tileLoadErrorUrl,
+            tiles.length,
+            getErrorCount(),
+          ];
+        });
       } else {
-        return [progress, null, tileLoadErrorUrl];
+        return of([
+          settledCount / tiles.length,
+          null,
+          tileLoadErrorUrl,
+          tiles.length,
+          getErrorCount(),
+        ]);
       }
     }),
-    throttleTime(500, undefined, { leading: true, trailing: true })
+    throttleTime(500, undefined, { leading: true, trailing: true }),
+    finalize(() => {
+      unByKey(errorListenerKey);
+      abortController.abort();
+      // an empty src aborts the loading of the image
+      tiles
+        .filter((tile) => tile.getState() === TileState.LOADING)
+        .forEach((tile) => (tile.getImage().src = ''));
+    })
   );
 }
 
 /**
  * @param {XyzLayer} layerSpec
  * @param {FrameState} rootFrameState
+ * @param {Observable<boolean>} paused$
+ * @param {TileSourceCache} [sources]
  * @return {Observable<LayerPrintStatus>}
  */
-function createLayerXYZ(layerSpec, rootFrameState) {
+function createLayerXYZ(layerSpec, rootFrameState, paused$, sources) {
   return createTiledLayer(
-    new XYZ({
-      crossOrigin: 'anonymous',
-      url: layerSpec.url,
-      transition: 0,
-    }),
+    () =>
+      new XYZ({
+        crossOrigin: 'anonymous',
+        url: layerSpec.url,
+        transition: 0,
+      }),
     rootFrameState,
-    layerSpec.opacity
+    layerSpec,
+    paused$,
+    sources
   );
 }
 
 /**
  * @param {WmsLayer} layerSpec
  * @param {FrameState} rootFrameState
+ * @param {Observable<boolean>} paused$
+ * @param {TileSourceCache} [sources]
  * @return {Observable<LayerPrintStatus>}
  */
-function createLayerWMS(layerSpec, rootFrameState) {
+function createLayerWMS(layerSpec, rootFrameState, paused$, sources) {
   if (layerSpec.tiled) {
     return createTiledLayer(
-      new TileWMS({
-        crossOrigin: 'anonymous',
-        url: layerSpec.url,
-        params: { LAYERS: layerSpec.layer, TILED: true },
-        transition: 0,
-      }),
+      () =>
+        new TileWMS({
+          crossOrigin: 'anonymous',
+          url: layerSpec.url,
+          params: { LAYERS: layerSpec.layer, TILED: true },
+          transition: 0,
+        }),
       rootFrameState,
-      layerSpec.opacity
+      layerSpec,
+      paused$,
+      sources
     );
   }
 
@@ -167,6 +312,10 @@ function createLayerWMS(layerSpec, rootFrameState) {
   const height = rootFrameState.size[1];
   const context = createCanvasContext2D(width, height);
   context.canvas.style = {};
+  const retryPolicy = getRetryPolicy(layerSpec);
+  const requestInit = getRequestInit(layerSpec);
+  const proxy = getProxy(layerSpec);
+  const abortController = new AbortController();
   let frameState;
   let layer;
   let renderer;
@@ -185,7 +334,14 @@ function createLayerWMS(layerSpec, rootFrameState) {
     if (isWorker()) {
       image.hintImageSize(width, height);
     }
-    image.src = src;
+    loadImage(
+      image,
+      src,
+      retryPolicy,
+      abortController.signal,
+      requestInit,
+      proxy
+    );
   });
 
   frameState = setFrameState(rootFrameState, layer, layerSpec.opacity);
@@ -193,29 +349,52 @@ function createLayerWMS(layerSpec, rootFrameState) {
   renderer = layer.getRenderer();
   renderer.useContainer = useContainer.bind(renderer, context);
 
-  const progress$ = new BehaviorSubject([0, null, undefined]);
+  const progress$ = new BehaviorSubject([0, null, undefined, 1, 0]);
   layer.getSource().once('imageloaderror', function (e) {
     const imageLoadErrorUrl = e.target.getUrl();
-    progress$.next([1, context.canvas, imageLoadErrorUrl]);
+    progress$.next([1, context.canvas, imageLoadErrorUrl, 1, 1]);
     progress$.complete();
   });
+  const renderSubscription = new Subscription();
   layer.getSource().once('imageloadend', () => {
-    renderer.prepareFrame({ ...frameState, time: Date.now() });
-    renderer.renderFrame({ ...frameState, time: Date.now() }, context.canvas);
-    progress$.next([1, context.canvas, undefined]);
-    progress$.complete();
+    renderSubscription.add(
+      scheduleTask(() => {
+        renderer.prepareFrame({ ...frameState, time: Date.now() });
+        renderer.renderFrame(
+          { ...frameState, time: Date.now() },
+          context.canvas
+        );
+      }).subscribe({
+        next: () => {
+          progress$.next([1, context.canvas, undefined, 1, 0]);
+          progress$.complete();
+        },
+        error: (error) => progress$.error(error),
+      })
+    );
   });
-  renderer.prepareFrame({ ...frameState, time: Date.now() });
+  // the image is requested when preparing the frame
+  const requestSubscription = whenNotPaused(paused$, () =>
+    renderer.prepareFrame({ ...frameState, time: Date.now() })
+  );
 
-  return progress$;
+  return progress$.pipe(
+    finalize(() => {
+      requestSubscription.unsubscribe();
+      renderSubscription.unsubscribe();
+      abortController.abort();
+    })
+  );
 }
 
 /**
  * @param {WmtsLayer} layerSpec
  * @param {FrameState} rootFrameState
+ * @param {Observable<boolean>} paused$
+ * @param {TileSourceCache} [sources]
  * @return {Observable<LayerPrintStatus>}
  */
-function createLayerWMTS(layerSpec, rootFrameState) {
+function createLayerWMTS(layerSpec, rootFrameState, paused$, sources) {
   let { tileGrid, projection } = layerSpec;
   let { resolutions, extent, matrixIds } = tileGrid;
   extent = extent || extentFromProjection(projection);
@@ -228,30 +407,39 @@ function createLayerWMTS(layerSpec, rootFrameState) {
   });
 
   return createTiledLayer(
-    new WMTS({
-      ...layerSpec,
-      tileGrid,
-      projection,
-      transition: 0,
-      crossOrigin: 'anonymous',
-    }),
+    () =>
+      new WMTS({
+        ...layerSpec,
+        tileGrid,
+        projection,
+        transition: 0,
+        crossOrigin: 'anonymous',
+      }),
     rootFrameState,
-    layerSpec.opacity
+    layerSpec,
+    paused$,
+    sources
   );
 }
 
 /**
  * @param {WfsLayer} layerSpec
  * @param {FrameState} rootFrameState
+ * @param {Observable<boolean>} paused$
  * @return {Observable<LayerPrintStatus>}
  */
-function createLayerWFS(layerSpec, rootFrameState) {
+function createLayerWFS(layerSpec, rootFrameState, paused$) {
   const width = rootFrameState.size[0];
   const height = rootFrameState.size[1];
   const context = createCanvasContext2D(width, height);
   context.canvas.style = {};
+  const retryPolicy = getRetryPolicy(layerSpec);
+  const requestInit = getRequestInit(layerSpec);
+  const proxy = getProxy(layerSpec);
+  const abortController = new AbortController();
   let frameState;
   let renderer;
+  const renderSubscription = new Subscription();
   const version = layerSpec.version || '1.1.0';
   const format =
     layerSpec.format === 'geojson' ? new GeoJSON() : new WFS({ version });
@@ -268,31 +456,45 @@ function createLayerWFS(layerSpec, rootFrameState) {
         projCode,
         extent
       );
-      const xhr = new XMLHttpRequest();
-      xhr.open('GET', requestUrl);
-      let onError = function () {
-        vectorSource.removeLoadedExtent(extent);
-        progress$.next([1, context.canvas, layerSpec.url]);
-        progress$.complete();
-      };
-      xhr.onerror = onError;
-      xhr.onload = function () {
-        if (xhr.status == 200) {
-          vectorSource.addFeatures(
-            vectorSource.getFormat().readFeatures(xhr.responseText)
-          );
-          renderer.prepareFrame({ ...frameState, time: Date.now() });
-          renderer.renderFrame(
-            { ...frameState, time: Date.now() },
-            context.canvas
-          );
-          progress$.next([1, context.canvas]);
-          progress$.complete();
-        } else {
-          onError();
-        }
-      };
-      xhr.send();
+      fetchWithRetry(
+        requestUrl,
+        retryPolicy,
+        abortController.signal,
+        requestInit,
+        proxy
+      )
+        .then((response) => response.text())
+        .then(
+          (responseText) => {
+            renderSubscription.add(
+              scheduleTask(() => {
+                vectorSource.addFeatures(
+                  vectorSource.getFormat().readFeatures(responseText)
+                );
+                renderer.prepareFrame({ ...frameState, time: Date.now() });
+                renderer.renderFrame(
+                  { ...frameState, time: Date.now() },
+                  context.canvas
+                );
+              }).subscribe({
+                next: () => {
+                  progress$.next([1, context.canvas, undefined, 1, 0]);
+                  progress$.complete();
+                },
+                // e.g. an exception report instead of the expected format
+                error: (error) => progress$.error(error),
+              })
+            );
+          },
+          (error) => {
+            if (error.name === 'AbortError') {
+              return;
+            }
+            vectorSource.removeLoadedExtent(extent);
+            progress$.next([1, context.canvas, layerSpec.url, 1, 1]);
+            progress$.complete();
+          }
+        );
     },
     strategy: bbox,
   });
@@ -305,8 +507,17 @@ function createLayerWFS(layerSpec, rootFrameState) {
   renderer = layer.getRenderer();
   renderer.useContainer = useContainer.bind(renderer, context);
 
-  const progress$ = new BehaviorSubject([0, null]);
-  renderer.prepareFrame({ ...frameState, time: Date.now() });
+  const progress$ = new BehaviorSubject([0, null, undefined, 1, 0]);
+  // the features are requested when preparing the frame
+  const requestSubscription = whenNotPaused(paused$, () =>
+    renderer.prepareFrame({ ...frameState, time: Date.now() })
+  );
 
-  return progress$;
+  return progress$.pipe(
+    finalize(() => {
+      requestSubscription.unsubscribe();
+      renderSubscription.unsubscribe();
+      abortController.abort();
+    })
+  );
 }
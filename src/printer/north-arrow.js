@@ -1,21 +1,23 @@
-const ARROW_PATH =
-  'M 0.00,51.40\
-C 0.00,51.40 25.50,0.00 25.50,0.00\
-  25.50,0.00 51.00,51.40 51.00,51.40\
-  51.00,51.40 25.50,38.60 25.50,38.60\
-  25.50,38.60 0.00,51.40 0.00,51.40 Z';
-const N_PATH =
-  'M 16.17,51.90\
-  C 16.17,51.90 21.93,51.90 21.93,51.90\
-    21.93,51.90 29.37,63.00 29.37,63.00\
-    29.37,63.00 29.37,51.90 29.37,51.90\
-    29.37,51.90 35.22,51.90 35.22,51.90\
-    35.22,51.90 35.22,72.00 35.22,72.00\
-    35.22,72.00 29.37,72.00 29.37,72.00\
-    29.37,72.00 21.93,61.00 21.93,61.00\
-    21.93,61.00 21.93,72.00 21.93,72.00\
-    21.93,72.00 16.17,72.00 16.17,72.00\
-    16.17,72.00 16.17,51.90 16.17,51.90 Z';
+// outlines of the arrow and of the N letter, drawn point by point since
+// Path2D is not available with every canvas implementation (e.g. node-canvas)
+const ARROW_OUTLINE = [
+  [0.0, 51.4],
+  [25.5, 0.0],
+  [51.0, 51.4],
+  [25.5, 38.6],
+];
+const N_OUTLINE = [
+  [16.17, 51.9],
+  [21.93, 51.9],
+  [29.37, 63.0],
+  [29.37, 51.9],
+  [35.22, 51.9],
+  [35.22, 72.0],
+  [29.37, 72.0],
+  [21.93, 61.0],
+  [21.93, 72.0],
+  [16.17, 72.0],
+];
 const NORTH_ARROW_WIDTH = 51;
 const NORTH_ARROW_HEIGHT = 72;
 
@@ -45,9 +47,20 @@ export function printNorthArrow(ctx, position) {
   ctx.save();
   ctx.translate(xTranslate, yTranslate);
   ctx.fillStyle = '#000000';
-  const pathArrow = new Path2D(ARROW_PATH);
-  ctx.fill(pathArrow);
-  const PathN = new Path2D(N_PATH);
-  ctx.fill(PathN);
+  fillOutline(ctx, ARROW_OUTLINE);
+  fillOutline(ctx, N_OUTLINE);
   ctx.restore();
 }
+
+/**
+ * @param {CanvasRenderingContext2D} ctx Rendering context of the canvas
+ * @param {Array<[number, number]>} outline Points of a closed outline
+ */
+function fillOutline(ctx, outline) {
+  ctx.beginPath();
+  outline.forEach(([x, y], index) =>
+    index ? ctx.lineTo(x, y) : ctx.moveTo(x, y)
+  );
+  ctx.closePath();
+  ctx.fill();
+}
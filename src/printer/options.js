@@ -0,0 +1,89 @@
+import { isWorker } from '../worker/utils';
+import { isNode } from '../node/utils';
+
+/**
+ * Options applied to all print jobs
+ * @type {PrinterOptions}
+ */
+const options = {
+  maxConcurrentJobs: 2,
+  // each layer of a block is rendered in a single task, so smaller blocks
+  // keep the page responsive on the main thread; they also send more WMS
+  // and WFS requests, one per block
+  maxCanvasSize: isWorker() || isNode() ? 4096 : 1024,
+  // the page is a single canvas, which takes 4 bytes per pixel; larger
+  // canvases fail in some browsers, e.g. Firefox
+  maxPagePixels: 100000000,
+};
+
+/**
+ * Retry policy used when neither the printer options nor the layer specify one
+ * @type {RetryPolicy}
+ */
+const defaultRetryPolicy = {
+  maxAttempts: 3,
+  delay: 500,
+  backoffFactor: 2,
+  statuses: [408, 429, 500, 502, 503, 504],
+};
+
+/**
+ * Job cache options used when the printer options do not specify them; the
+ * cache is disabled by default
+ * @type {JobCacheOptions}
+ */
+const defaultJobCacheOptions = {
+  size: 0,
+  ttl: 60000,
+};
+
+/**
+ * @return {PrinterOptions}
+ */
+export function getPrinterOptions() {
+  return options;
+}
+
+/**
+ * Overrides the current printer options with the given ones
+ * @param {PrinterOptions} newOptions
+ */
+export function updatePrinterOptions(newOptions) {
+  Object.assign(options, newOptions);
+}
+
+/**
+ * Returns the retry policy for a layer; each value falls back to the one in
+ * the printer options, and then to the default one.
+ * @param {Layer} layerSpec
+ * @return {RetryPolicy}
+ */
+export function getRetryPolicy(layerSpec) {
+  return {
+    ...defaultRetryPolicy,
+    ...options.retry,
+    ...layerSpec.retry,
+  };
+}
+
+/**
+ * Returns the proxy for a layer, which falls back to the one in the printer
+ * options; a layer can opt out of the global proxy with `proxy: false`.
+ * @param {Layer} layerSpec
+ * @return {Proxy|null} Null if the layer requests are sent directly.
+ */
+export function getProxy(layerSpec) {
+  const proxy = layerSpec.proxy !== undefined ? layerSpec.proxy : options.proxy;
+  return proxy || null;
+}
+
+/**
+ * Returns the job cache options; each value falls back to the default one.
+ * @return {JobCacheOptions}
+ */
+export function getJobCacheOptions() {
+  return {
+    ...defaultJobCacheOptions,
+    ...options.jobCache,
+  };
+}
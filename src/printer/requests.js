@@ -0,0 +1,144 @@
+import { interceptRequest } from './interceptor';
+
+/**
+ * Returns the options of the requests sent for a layer, i.e. its headers and
+ * credentials mode if any
+ * @param {Layer} layerSpec
+ * @return {RequestInit}
+ */
+export function getRequestInit(layerSpec) {
+  const init = {};
+  if (layerSpec.headers) {
+    init.headers = layerSpec.headers;
+  }
+  if (layerSpec.credentials) {
+    init.credentials = layerSpec.credentials;
+  }
+  return init;
+}
+
+/**
+ * Returns the url to fetch through a proxy; object and data urls, e.g. the
+ * ones of images already loaded, are never proxied.
+ * @param {string} url
+ * @param {Proxy|null} [proxy] Either a url template, in which `{url}` is
+ * replaced with the encoded url, or a function returning the proxied url.
+ * @return {string}
+ */
+export function getProxiedUrl(url, proxy) {
+  if (!proxy || /^(blob|data):/.test(url)) {
+    return url;
+  }
+  // the proxy needs an absolute url
+  const absoluteUrl =
+    typeof location !== 'undefined' ? new URL(url, location.href).href : url;
+  if (typeof proxy === 'function') {
+    return proxy(absoluteUrl);
+  }
+  return proxy.replace('{url}', encodeURIComponent(absoluteUrl));
+}
+
+/**
+ * Fetches a resource, retrying after an increasing delay when the request
+ * fails with a network error or with one of the HTTP statuses of the policy.
+ * Each attempt goes through the request interceptor, if one is set, and
+ * then through the proxy.
+ * @param {string} url
+ * @param {RetryPolicy} policy
+ * @param {AbortSignal} [signal]
+ * @param {RequestInit} [init] Other options of the request, e.g. its headers.
+ * @param {Proxy|null} [proxy]
+ * @return {Promise<Response>} Resolves to the successful response, or rejects
+ * with the last error once no more attempts are allowed.
+ */
+export function fetchWithRetry(url, policy, signal, init, proxy) {
+  const attempt = (attemptCount) =>
+    interceptRequest(url, init)
+      .then((request) =>
+        fetch(getProxiedUrl(request.url, proxy), { ...request.init, signal })
+      )
+      .then((response) => {
+        if (!response.ok) {
+          const error = new Error(
+            `Request to ${url} failed with status ${response.status}`
+          );
+          error.status = response.status;
+          throw error;
+        }
+        return response;
+      })
+      .catch((error) => {
+        if (
+          error.name === 'AbortError' ||
+          !shouldRetry(policy, attemptCount, error.status)
+        ) {
+          throw error;
+        }
+        return wait(getRetryDelay(policy, attemptCount)).then(() =>
+          attempt(attemptCount + 1)
+        );
+      });
+  return attempt(1);
+}
+
+/**
+ * Loads an image through `fetch`, retrying according to the policy; if it
+ * still fails, an `error` event is dispatched on the image so that OpenLayers
+ * handles it like any other image loading error.
+ * Note: the image only loads an object URL of the fetched blob, so the layer
+ * headers and proxy also apply to images, including with the worker `Image`
+ * polyfill.
+ * @param {HTMLImageElement|Image} image
+ * @param {string} url
+ * @param {RetryPolicy} policy
+ * @param {AbortSignal} [signal]
+ * @param {RequestInit} [init] Other options of the request, e.g. its headers.
+ * @param {Proxy|null} [proxy]
+ */
+export function loadImage(image, url, policy, signal, init, proxy) {
+  fetchWithRetry(url, policy, signal, init, proxy)
+    .then((response) => response.blob())
+    .then((blob) => {
+      const objectUrl = URL.createObjectURL(blob);
+      const revoke = () => URL.revokeObjectURL(objectUrl);
+      image.addEventListener('load', revoke, { once: true });
+      image.addEventListener('error', revoke, { once: true });
+      image.src = objectUrl;
+    })
+    .catch((error) => {
+      if (error.name !== 'AbortError') {
+        image.dispatchEvent(new Event('error'));
+      }
+    });
+}
+
+/**
+ * @param {RetryPolicy} policy
+ * @param {number} attemptCount Number of attempts made so far.
+ * @param {number} [status] HTTP status of the failed request; network errors
+ * have none and are always retried.
+ * @return {boolean}
+ */
+function shouldRetry(policy, attemptCount, status) {
+  if (attemptCount >= policy.maxAttempts) {
+    return false;
+  }
+  return status === undefined || policy.statuses.indexOf(status) > -1;
+}
+
+/**
+ * @param {RetryPolicy} policy
+ * @param {number} attemptCount Number of attempts made so far.
+ * @return {number} Delay in milliseconds before the next attempt.
+ */
+function getRetryDelay(policy, attemptCount) {
+  return policy.delay * Math.pow(policy.backoffFactor, attemptCount - 1);
+}
+
+/**
+ * @param {number} delay
+ * @return {Promise<void>}
+ */
+function wait(delay) {
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
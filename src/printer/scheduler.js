@@ -0,0 +1,54 @@
+import { defer, Observable, of } from 'rxjs';
+import { isWorker } from '../worker/utils';
+import { isNode } from '../node/utils';
+
+/**
+ * Maximum delay in milliseconds before a task runs on the main thread, even
+ * if the browser is never idle
+ * @type {number}
+ */
+const IDLE_TIMEOUT = 100;
+
+/**
+ * Returns an observable running a task, emitting its result and completing.
+ * In a worker or in Node.js, the task runs as soon as the observable is
+ * subscribed; on the main thread, it runs once the browser is idle, so that
+ * heavy rendering work is split in tasks which do not freeze the page.
+ * Note: unsubscribing before the task runs cancels it.
+ * @param {function(): T} task
+ * @return {Observable<T>}
+ * @template T
+ */
+export function scheduleTask(task) {
+  if (isWorker() || isNode()) {
+    return defer(() => of(task()));
+  }
+  return new Observable((subscriber) =>
+    requestIdle(() => {
+      let result;
+      try {
+        result = task();
+      } catch (error) {
+        subscriber.error(error);
+        return;
+      }
+      subscriber.next(result);
+      subscriber.complete();
+    })
+  );
+}
+
+/**
+ * Calls the callback once the browser is idle, or on the next macrotask if
+ * `requestIdleCallback` is not supported
+ * @param {function(): void} callback
+ * @return {function(): void} Function cancelling the callback.
+ */
+function requestIdle(callback) {
+  if (typeof requestIdleCallback === 'function') {
+    const handle = requestIdleCallback(callback, { timeout: IDLE_TIMEOUT });
+    return () => cancelIdleCallback(handle);
+  }
+  const handle = setTimeout(callback, 0);
+  return () => clearTimeout(handle);
+}
@@ -1,4 +1,5 @@
 import { isWorker } from '../worker/utils';
+import { isNode } from '../node/utils';
 import { from, Observable } from 'rxjs';
 
 /**
@@ -8,7 +9,8 @@ import { from, Observable } from 'rxjs';
  *  and complete immediately.
  */
 export function canvasToBlob(canvas) {
-  if (isWorker()) return from(canvas.convertToBlob());
+  // canvases created in Node.js are given the same method as OffscreenCanvas
+  if (isWorker() || isNode()) return from(canvas.convertToBlob());
 
   return new Observable((subscriber) => {
     canvas.toBlob((blob) => {
@@ -1,3 +1,24 @@
 export const MESSAGE_JOB_REQUEST = 'requestJob';
 export const MESSAGE_JOB_STATUS = 'jobStatus';
+export const MESSAGE_JOB_CANCEL = 'cancelJob';
+export const MESSAGE_JOB_PAUSE = 'pauseJob';
+export const MESSAGE_JOB_RESUME = 'resumeJob';
+export const MESSAGE_PRINTER_OPTIONS = 'printerOptions';
+export const MESSAGE_JOBS_BROADCAST = 'jobsBroadcast';
+export const MESSAGE_PRINTER_PING = 'printerPing';
+export const MESSAGE_PRINTER_READY = 'printerReady';
+export const MESSAGE_REQUEST_INTERCEPTOR = 'requestInterceptor';
+export const MESSAGE_REQUEST_INTERCEPT = 'interceptRequest';
+export const MESSAGE_REQUEST_INTERCEPTED = 'interceptedRequest';
 export const CM_PER_INCH = 2.54;
+export const INCH_PER_METER = 39.3701;
+export const ERROR_UNEXPECTED = 'unexpected';
+export const ERROR_UNKNOWN_PROJECTION = 'unknownProjection';
+export const ERROR_NO_LAYERS = 'noLayers';
+export const ERROR_UNKNOWN_LAYER_TYPE = 'unknownLayerType';
+export const ERROR_TIMEOUT = 'timeout';
+export const ERROR_INTERRUPTED = 'interrupted';
+export const ERROR_NO_PAGES = 'noPages';
+export const ERROR_INVALID_SPEC = 'invalidSpec';
+export const ERROR_PAGE_TOO_LARGE = 'pageTooLarge';
+export const SPEC_VERSION = 2;
@@ -0,0 +1,46 @@
+import { ERROR_UNEXPECTED } from './constants';
+
+/**
+ * Error making a print job fail
+ */
+export class PrintError extends Error {
+  /**
+   * @param {string} code Error code, described by an ERROR_* constant.
+   * @param {string} message Human readable message.
+   * @param {string} [path] Path of the offending value in the spec, e.g. `layers[1].type`.
+   */
+  constructor(code, message, path) {
+    super(message);
+    this.name = 'PrintError';
+    this.code = code;
+    this.path = path;
+  }
+}
+
+/**
+ * Returns a plain object describing the error, which can be sent across threads
+ * Note: errors other than `PrintError` will be given an `unexpected` code.
+ * @param {Error} error
+ * @return {JobError}
+ */
+export function serializeError(error) {
+  if (error instanceof PrintError) {
+    return {
+      code: error.code,
+      message: error.message,
+      path: error.path,
+    };
+  }
+  return {
+    code: ERROR_UNEXPECTED,
+    message: error instanceof Error ? error.message : String(error),
+  };
+}
+
+/**
+ * @param {JobError} jobError
+ * @return {PrintError}
+ */
+export function deserializeError(jobError) {
+  return new PrintError(jobError.code, jobError.message, jobError.path);
+}
@@ -0,0 +1,51 @@
+/**
+ * @param {PrintStatus} job
+ * @return {boolean} True if the job will not receive any more status update.
+ */
+export function isJobOver(job) {
+  return (
+    job.status === 'finished' ||
+    job.status === 'cancelled' ||
+    job.status === 'failed'
+  );
+}
+
+/**
+ * @param {PrintSpec} spec1
+ * @param {PrintSpec} spec2
+ * @return {boolean} True if both specs are deep-equal, i.e. would produce
+ * the same print.
+ */
+export function areSpecsEqual(spec1, spec2) {
+  return isDeepEqual(spec1, spec2);
+}
+
+/**
+ * @param {*} value1
+ * @param {*} value2
+ * @return {boolean}
+ */
+function isDeepEqual(value1, value2) {
+  if (value1 === value2) {
+    return true;
+  }
+  if (
+    typeof value1 !== 'object' ||
+    typeof value2 !== 'object' ||
+    value1 === null ||
+    value2 === null ||
+    Array.isArray(value1) !== Array.isArray(value2)
+  ) {
+    return false;
+  }
+  const keys1 = Object.keys(value1);
+  const keys2 = Object.keys(value2);
+  return (
+    keys1.length === keys2.length &&
+    keys1.every(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(value2, key) &&
+        isDeepEqual(value1[key], value2[key])
+    )
+  );
+}
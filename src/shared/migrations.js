@@ -0,0 +1,72 @@
+import { SPEC_VERSION } from './constants';
+
+/**
+ * @typedef {Object} SpecMigration
+ * @property {number} version Version of the spec after the migration.
+ * @property {function(PrintSpec, function(string, string): void): void} migrate
+ * Function upgrading a copy of the spec from the previous version in place; the
+ * second argument is called with the path and description of each deprecated
+ * value found.
+ */
+
+/**
+ * Migrations in version order; a spec without version is a version 1 spec
+ * @type {SpecMigration[]}
+ */
+const migrations = [
+  {
+    version: 2,
+    migrate: (spec, deprecate) => {
+      if (spec.projectionDefinition !== undefined) {
+        deprecate(
+          'projectionDefinition',
+          'The projectionDefinition property is deprecated, use the projectionDefinitions array instead'
+        );
+        spec.projectionDefinitions = [
+          ...(spec.projectionDefinitions || []),
+          spec.projectionDefinition,
+        ];
+        delete spec.projectionDefinition;
+      }
+      if (typeof spec.scaleBar === 'boolean') {
+        deprecate(
+          'scaleBar',
+          'A boolean scale bar is deprecated, use a ScaleBarSpec object instead'
+        );
+        if (spec.scaleBar) {
+          spec.scaleBar = {};
+        } else {
+          delete spec.scaleBar;
+        }
+      }
+    },
+  },
+];
+
+/**
+ * Returns a copy of the spec upgraded to the current version; the spec is
+ * returned as is if it is already at the current version, or if its version
+ * is not supported.
+ * @param {PrintSpec} spec
+ * @param {SpecIssue[]} [warnings] Array receiving a warning for each
+ * deprecated value found in the spec.
+ * @return {PrintSpec}
+ */
+export function migrateSpec(spec, warnings) {
+  if (typeof spec !== 'object' || spec === null) {
+    return spec;
+  }
+  const version = spec.version === undefined ? 1 : spec.version;
+  if (!Number.isInteger(version) || version < 1 || version >= SPEC_VERSION) {
+    return spec;
+  }
+
+  const migrated = { ...spec };
+  const deprecate = (path, message) =>
+    warnings && warnings.push({ level: 'warning', path, message });
+  migrations
+    .filter((migration) => migration.version > version)
+    .forEach((migration) => migration.migrate(migrated, deprecate));
+  migrated.version = SPEC_VERSION;
+  return migrated;
+}
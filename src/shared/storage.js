@@ -0,0 +1,149 @@
+const DB_NAME = 'inkmap';
+const DB_VERSION = 1;
+const JOBS_STORE = 'jobs';
+const RESULTS_STORE = 'results';
+
+/**
+ * @type {Promise<IDBDatabase|null>}
+ */
+let database = null;
+
+/**
+ * Opens the database on first call
+ * @return {Promise<IDBDatabase|null>} Resolves to null if IndexedDB is not
+ * available or the database could not be opened.
+ */
+function getDatabase() {
+  if (!database) {
+    database = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(JOBS_STORE, { keyPath: 'id' });
+        request.result.createObjectStore(RESULTS_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error(
+          '[inkmap] Could not open the jobs storage:',
+          request.error
+        );
+        resolve(null);
+      };
+    });
+  }
+  return database;
+}
+
+/**
+ * Runs a transaction on the given stores
+ * @param {Array<string>} storeNames
+ * @param {IDBTransactionMode} mode
+ * @param {function(...IDBObjectStore): (IDBRequest|void)} callback Receives
+ * the object stores in the same order as their names.
+ * @return {Promise<*>} Resolves to the result of the request returned by the
+ * callback once the transaction is complete, or undefined if the database is
+ * not available.
+ */
+function runTransaction(storeNames, mode, callback) {
+  return getDatabase().then((db) => {
+    if (!db) {
+      return undefined;
+    }
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const request = callback(
+        ...storeNames.map((name) => transaction.objectStore(name))
+      );
+      transaction.oncomplete = () =>
+        resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  });
+}
+
+/**
+ * Stores a job status, replacing the previous one for the same job; the image
+ * blob, or the image blobs of an atlas, are stored separately.
+ * Note: the layer headers are left out of the stored spec, as they may
+ * contain credentials.
+ * @param {PrintStatus} status
+ * @return {Promise<void>}
+ */
+export function writeJobStatus(status) {
+  const result = status.imageBlobs || status.imageBlob;
+  const metadata = { ...status, spec: omitLayerHeaders(status.spec) };
+  delete metadata.imageBlob;
+  delete metadata.imageBlobs;
+  return runTransaction(
+    [JOBS_STORE, RESULTS_STORE],
+    'readwrite',
+    (jobs, results) => {
+      jobs.put(metadata);
+      if (result) {
+        results.put(result, status.id);
+      }
+    }
+  );
+}
+
+/**
+ * @return {Promise<PrintStatus[]>} Stored job status, ordered by job id and
+ * without image blobs.
+ */
+export function readStoredJobs() {
+  return runTransaction([JOBS_STORE], 'readonly', (jobs) => jobs.getAll()).then(
+    (jobs) => jobs || []
+  );
+}
+
+/**
+ * @param {number} jobId
+ * @return {Promise<Blob|Blob[]|null>} Stored image blob of a finished job, or
+ * the image blobs of a finished atlas; null if none was found.
+ */
+export function readStoredJobResult(jobId) {
+  return runTransaction([RESULTS_STORE], 'readonly', (results) =>
+    results.get(jobId)
+  ).then((result) => result || null);
+}
+
+/**
+ * Removes all stored jobs and image blobs
+ * @return {Promise<void>}
+ */
+export function clearStoredJobs() {
+  return runTransaction(
+    [JOBS_STORE, RESULTS_STORE],
+    'readwrite',
+    (jobs, results) => {
+      jobs.clear();
+      results.clear();
+    }
+  );
+}
+
+/**
+ * @param {PrintSpec} spec
+ * @return {PrintSpec} Copy of the spec without the headers of its layers.
+ */
+function omitLayerHeaders(spec) {
+  if (!spec || !Array.isArray(spec.layers)) {
+    return spec;
+  }
+  return {
+    ...spec,
+    layers: spec.layers.map((layer) => {
+      if (!layer || !layer.headers) {
+        return layer;
+      }
+      const storedLayer = { ...layer };
+      delete storedLayer.headers;
+      return storedLayer;
+    }),
+  };
+}
@@ -0,0 +1,572 @@
+import {
+  ERROR_INVALID_SPEC,
+  ERROR_NO_LAYERS,
+  ERROR_NO_PAGES,
+  SPEC_VERSION,
+} from './constants';
+import { PrintError } from './errors';
+import { migrateSpec } from './migrations';
+
+const SIZE_UNITS = ['px', 'mm', 'cm', 'm', 'in'];
+const NORTH_ARROW_POSITIONS = [
+  'top-left',
+  'top-right',
+  'bottom-left',
+  'bottom-right',
+];
+const SCALE_BAR_POSITIONS = ['bottom-left', 'bottom-right'];
+const SCALE_BAR_UNITS = ['degrees', 'imperial', 'metric', 'nautical', 'us'];
+const TIMEOUT_POLICIES = ['fail', 'partial'];
+const WMTS_REQUEST_ENCODINGS = ['KVP', 'REST'];
+const WFS_VERSIONS = ['1.0.0', '1.1.0', '2.0.0'];
+const WFS_FORMATS = ['gml', 'geojson'];
+const CREDENTIALS_MODES = ['omit', 'same-origin', 'include'];
+
+/**
+ * Checks a print spec against the `PrintSpec` and `Layer` types, and returns
+ * the issues found; the spec can be printed if no issue is an error.
+ * Specs of a previous version are checked once migrated, with a warning for
+ * each deprecated value.
+ * Note: layers of a type other than the built-in ones only get a warning, as
+ * their type may be registered in the printer with `registerLayerType`.
+ * @param {PrintSpec} spec
+ * @return {SpecIssue[]}
+ */
+export function validateSpec(spec) {
+  const issues = [];
+  const error = (path, message, code = ERROR_INVALID_SPEC) =>
+    issues.push({ level: 'error', code, path, message });
+  const warning = (path, message) =>
+    issues.push({ level: 'warning', path, message });
+
+  if (!isObject(spec)) {
+    error('', 'The spec must be an object');
+    return issues;
+  }
+
+  if (spec.version !== undefined) {
+    if (!Number.isInteger(spec.version) || spec.version < 1) {
+      error('version', 'The spec version must be a positive integer');
+    } else if (spec.version > SPEC_VERSION) {
+      error(
+        'version',
+        `The spec version ${spec.version} is not supported, the latest is ${SPEC_VERSION}`
+      );
+    }
+  }
+  spec = migrateSpec(spec, issues);
+
+  if (!Array.isArray(spec.layers) || !spec.layers.length) {
+    error('layers', 'The spec does not contain any layer', ERROR_NO_LAYERS);
+  } else {
+    spec.layers.forEach((layer, index) =>
+      validateLayer(layer, `layers[${index}]`, error, warning)
+    );
+  }
+
+  const pages = spec.pages;
+  if (pages !== undefined) {
+    if (!Array.isArray(pages) || !pages.length) {
+      error('pages', 'The spec does not contain any page', ERROR_NO_PAGES);
+    } else {
+      pages.forEach((page, index) =>
+        validatePage(page, `pages[${index}]`, error)
+      );
+    }
+  }
+  // pages can provide the center and scale of the spec
+  const pagesHave = (key) =>
+    Array.isArray(pages) &&
+    pages.length > 0 &&
+    pages.every(
+      (page) =>
+        isObject(page) &&
+        (page[key] !== undefined ||
+          page.extent !== undefined ||
+          page.geometry !== undefined)
+    );
+
+  const size = spec.size;
+  if (
+    !Array.isArray(size) ||
+    (size.length !== 2 && size.length !== 3) ||
+    !isNumberArray(size.slice(0, 2), 2, 2) ||
+    !(size[0] > 0 && size[1] > 0)
+  ) {
+    error('size', 'The size must contain a positive width and height');
+  } else if (size.length === 3 && !SIZE_UNITS.includes(size[2])) {
+    error('size[2]', `The size unit must be one of ${formatList(SIZE_UNITS)}`);
+  }
+
+  if (spec.center !== undefined || !pagesHave('center')) {
+    validateCoordinate(spec.center, 'center', error);
+  }
+  if (spec.scale !== undefined || !pagesHave('scale')) {
+    validatePositiveNumber(spec.scale, 'scale', 'The scale', error);
+  }
+  validatePositiveNumber(spec.dpi, 'dpi', 'The dpi', error);
+
+  if (typeof spec.projection !== 'string' || !spec.projection) {
+    error('projection', 'The projection must be a projection code');
+  } else if (
+    !spec.projection.startsWith('EPSG:') &&
+    !(spec.projectionDefinitions || []).some(
+      (definition) => definition && definition.name === spec.projection
+    )
+  ) {
+    warning(
+      'projection',
+      `The projection ${spec.projection} must be registered with registerProjection`
+    );
+  }
+  if (spec.projectionDefinitions !== undefined) {
+    if (!Array.isArray(spec.projectionDefinitions)) {
+      error(
+        'projectionDefinitions',
+        'The projection definitions must be an array'
+      );
+    } else {
+      spec.projectionDefinitions.forEach((definition, index) =>
+        validateProjectionDefinition(
+          definition,
+          `projectionDefinitions[${index}]`,
+          error
+        )
+      );
+    }
+  }
+
+  if (
+    spec.northArrow !== undefined &&
+    typeof spec.northArrow !== 'boolean' &&
+    !NORTH_ARROW_POSITIONS.includes(spec.northArrow)
+  ) {
+    error(
+      'northArrow',
+      `The north arrow must be a boolean or one of ${formatList(
+        NORTH_ARROW_POSITIONS
+      )}`
+    );
+  }
+  if (spec.scaleBar !== undefined && typeof spec.scaleBar !== 'boolean') {
+    if (!isObject(spec.scaleBar)) {
+      error('scaleBar', 'The scale bar must be a boolean or an object');
+    } else {
+      validateEnum(
+        spec.scaleBar.position,
+        SCALE_BAR_POSITIONS,
+        'scaleBar.position',
+        'The scale bar position',
+        error
+      );
+      validateEnum(
+        spec.scaleBar.units,
+        SCALE_BAR_UNITS,
+        'scaleBar.units',
+        'The scale bar units',
+        error
+      );
+    }
+  }
+
+  if (spec.priority !== undefined && !isFiniteNumber(spec.priority)) {
+    error('priority', 'The priority must be a number');
+  }
+  if (spec.timeout !== undefined) {
+    validatePositiveNumber(spec.timeout, 'timeout', 'The timeout', error);
+  }
+  validateEnum(
+    spec.timeoutPolicy,
+    TIMEOUT_POLICIES,
+    'timeoutPolicy',
+    'The timeout policy',
+    error
+  );
+
+  return issues;
+}
+
+/**
+ * Returns an error for the first error found when validating the spec
+ * @param {PrintSpec} spec
+ * @return {PrintError|null} Null if the spec is valid.
+ */
+export function getSpecError(spec) {
+  const issue = validateSpec(spec).find((issue) => issue.level === 'error');
+  return issue ? new PrintError(issue.code, issue.message, issue.path) : null;
+}
+
+/**
+ * Returns an error if the spec contains values which cannot be sent to a
+ * printer running in a worker, i.e. proxy functions
+ * @param {PrintSpec} spec A valid spec.
+ * @return {PrintError|null} Null if the spec can be sent.
+ */
+export function getWorkerSpecError(spec) {
+  const index = spec.layers.findIndex(
+    (layer) => typeof layer.proxy === 'function'
+  );
+  return index > -1 ? createProxyFunctionError(`layers[${index}].proxy`) : null;
+}
+
+/**
+ * Returns an error if the printer options contain values which cannot be sent
+ * to a printer running in a worker, i.e. a proxy function
+ * @param {PrinterOptions} options
+ * @return {PrintError|null} Null if the options can be sent.
+ */
+export function getWorkerOptionsError(options) {
+  return options && typeof options.proxy === 'function'
+    ? createProxyFunctionError('proxy')
+    : null;
+}
+
+/**
+ * @param {string} path
+ * @return {PrintError}
+ */
+function createProxyFunctionError(path) {
+  return new PrintError(
+    ERROR_INVALID_SPEC,
+    'A proxy function cannot be sent to a worker; use a url template instead, or print on the main thread',
+    path
+  );
+}
+
+/**
+ * @param {Layer} layer
+ * @param {string} path
+ * @param {function(string, string): void} error
+ * @param {function(string, string): void} warning
+ */
+function validateLayer(layer, path, error, warning) {
+  if (!isObject(layer)) {
+    error(path, 'The layer must be an object');
+    return;
+  }
+  if (
+    layer.opacity !== undefined &&
+    !(isFiniteNumber(layer.opacity) && layer.opacity >= 0 && layer.opacity <= 1)
+  ) {
+    error(`${path}.opacity`, 'The opacity must be a number from 0 to 1');
+  }
+  if (layer.timeout !== undefined) {
+    validatePositiveNumber(
+      layer.timeout,
+      `${path}.timeout`,
+      'The timeout',
+      error
+    );
+  }
+  if (layer.retry !== undefined) {
+    validateRetryPolicy(layer.retry, `${path}.retry`, error);
+  }
+  if (
+    layer.headers !== undefined &&
+    !(
+      isObject(layer.headers) &&
+      Object.values(layer.headers).every((value) => typeof value === 'string')
+    )
+  ) {
+    error(`${path}.headers`, 'The headers must be an object of strings');
+  }
+  if (
+    layer.proxy !== undefined &&
+    layer.proxy !== false &&
+    typeof layer.proxy !== 'function' &&
+    !(typeof layer.proxy === 'string' && layer.proxy.includes('{url}'))
+  ) {
+    error(
+      `${path}.proxy`,
+      'The proxy must be a url template containing {url}, a function or false'
+    );
+  }
+  validateEnum(
+    layer.credentials,
+    CREDENTIALS_MODES,
+    `${path}.credentials`,
+    'The credentials mode',
+    error
+  );
+
+  if (typeof layer.type !== 'string') {
+    error(`${path}.type`, 'The layer type must be a string');
+    return;
+  }
+  switch (layer.type) {
+    case 'XYZ':
+      validateString(layer.url, `${path}.url`, 'The layer url', error);
+      break;
+    case 'WMS':
+      validateString(layer.url, `${path}.url`, 'The layer url', error);
+      validateString(layer.layer, `${path}.layer`, 'The layer name', error);
+      if (layer.tiled !== undefined && typeof layer.tiled !== 'boolean') {
+        error(`${path}.tiled`, 'The tiled option must be a boolean');
+      }
+      break;
+    case 'WMTS':
+      validateWmtsLayer(layer, path, error, warning);
+      break;
+    case 'WFS':
+      validateString(layer.url, `${path}.url`, 'The layer url', error);
+      validateString(layer.layer, `${path}.layer`, 'The layer name', error);
+      validateEnum(
+        layer.version,
+        WFS_VERSIONS,
+        `${path}.version`,
+        'The WFS version',
+        error
+      );
+      validateEnum(
+        layer.format,
+        WFS_FORMATS,
+        `${path}.format`,
+        'The WFS format',
+        error
+      );
+      break;
+    default:
+      warning(
+        `${path}.type`,
+        `${layer.type} is not a built-in layer type; it must be registered with registerLayerType`
+      );
+  }
+}
+
+/**
+ * @param {WmtsLayer} layer
+ * @param {string} path
+ * @param {function(string, string): void} error
+ * @param {function(string, string): void} warning
+ */
+function validateWmtsLayer(layer, path, error, warning) {
+  validateString(layer.url, `${path}.url`, 'The layer url', error);
+  validateString(layer.layer, `${path}.layer`, 'The layer name', error);
+  validateString(layer.matrixSet, `${path}.matrixSet`, 'The matrix set', error);
+  validateEnum(
+    layer.requestEncoding,
+    WMTS_REQUEST_ENCODINGS,
+    `${path}.requestEncoding`,
+    'The request encoding',
+    error
+  );
+  if (layer.requestEncoding !== 'REST' && layer.format === undefined) {
+    warning(`${path}.format`, 'No image format is given for KVP requests');
+  }
+  if (layer.projection === undefined) {
+    error(`${path}.projection`, 'The layer projection is required');
+  }
+
+  const tileGrid = layer.tileGrid;
+  if (!isObject(tileGrid)) {
+    error(`${path}.tileGrid`, 'The tile grid must be an object');
+    return;
+  }
+  if (
+    !isNumberArray(tileGrid.resolutions, 1, Infinity) ||
+    !tileGrid.resolutions.every((resolution) => resolution > 0)
+  ) {
+    error(
+      `${path}.tileGrid.resolutions`,
+      'The tile grid resolutions must be an array of positive numbers'
+    );
+  } else if (
+    tileGrid.matrixIds !== undefined &&
+    (!Array.isArray(tileGrid.matrixIds) ||
+      tileGrid.matrixIds.length !== tileGrid.resolutions.length)
+  ) {
+    error(
+      `${path}.tileGrid.matrixIds`,
+      'The tile grid matrix ids must be an array as long as the resolutions'
+    );
+  }
+  if (tileGrid.tileSize !== undefined) {
+    const tileSize = tileGrid.tileSize;
+    if (
+      !(isFiniteNumber(tileSize) && tileSize > 0) &&
+      !isNumberArray(tileSize, 2, 2)
+    ) {
+      error(
+        `${path}.tileGrid.tileSize`,
+        'The tile size must be a positive number or a width and height'
+      );
+    }
+  }
+}
+
+/**
+ * @param {AtlasPage} page
+ * @param {string} path
+ * @param {function(string, string): void} error
+ */
+function validatePage(page, path, error) {
+  if (!isObject(page)) {
+    error(path, 'The page must be an object');
+    return;
+  }
+  if (page.center !== undefined) {
+    validateCoordinate(page.center, `${path}.center`, error);
+  }
+  if (page.scale !== undefined) {
+    validatePositiveNumber(page.scale, `${path}.scale`, 'The scale', error);
+  }
+  if (page.extent !== undefined && !isNumberArray(page.extent, 4, 4)) {
+    error(`${path}.extent`, 'The extent must contain 4 numbers');
+  }
+  if (
+    page.geometry !== undefined &&
+    !(isObject(page.geometry) && typeof page.geometry.type === 'string')
+  ) {
+    error(`${path}.geometry`, 'The geometry must be a GeoJSON geometry');
+  }
+}
+
+/**
+ * @param {ProjectionDefinition} definition
+ * @param {string} path
+ * @param {function(string, string): void} error
+ */
+function validateProjectionDefinition(definition, path, error) {
+  if (!isObject(definition)) {
+    error(path, 'The projection definition must be an object');
+    return;
+  }
+  validateString(definition.name, `${path}.name`, 'The projection name', error);
+  validateString(
+    definition.proj4,
+    `${path}.proj4`,
+    'The proj4 definition',
+    error
+  );
+  if (!isNumberArray(definition.bbox, 4, 4)) {
+    error(`${path}.bbox`, 'The projection bbox must contain 4 numbers');
+  }
+}
+
+/**
+ * @param {RetryPolicy} retry
+ * @param {string} path
+ * @param {function(string, string): void} error
+ */
+function validateRetryPolicy(retry, path, error) {
+  if (!isObject(retry)) {
+    error(path, 'The retry policy must be an object');
+    return;
+  }
+  if (
+    retry.maxAttempts !== undefined &&
+    !(Number.isInteger(retry.maxAttempts) && retry.maxAttempts >= 1)
+  ) {
+    error(
+      `${path}.maxAttempts`,
+      'The maximum number of attempts must be an integer of at least 1'
+    );
+  }
+  if (
+    retry.delay !== undefined &&
+    !(isFiniteNumber(retry.delay) && retry.delay >= 0)
+  ) {
+    error(`${path}.delay`, 'The retry delay must be a number of at least 0');
+  }
+  if (
+    retry.backoffFactor !== undefined &&
+    !(isFiniteNumber(retry.backoffFactor) && retry.backoffFactor > 0)
+  ) {
+    error(`${path}.backoffFactor`, 'The backoff factor must be positive');
+  }
+  if (
+    retry.statuses !== undefined &&
+    !isNumberArray(retry.statuses, 0, Infinity)
+  ) {
+    error(`${path}.statuses`, 'The retried statuses must be numbers');
+  }
+}
+
+/**
+ * @param {*} value
+ * @param {string} path
+ * @param {function(string, string): void} error
+ */
+function validateCoordinate(value, path, error) {
+  if (!isNumberArray(value, 2, 2)) {
+    error(path, 'The center must contain a longitude and a latitude');
+  }
+}
+
+/**
+ * @param {*} value
+ * @param {string} path
+ * @param {string} name Name of the value in the message.
+ * @param {function(string, string): void} error
+ */
+function validatePositiveNumber(value, path, name, error) {
+  if (!(isFiniteNumber(value) && value > 0)) {
+    error(path, `${name} must be a positive number`);
+  }
+}
+
+/**
+ * @param {*} value
+ * @param {string} path
+ * @param {string} name Name of the value in the message.
+ * @param {function(string, string): void} error
+ */
+function validateString(value, path, name, error) {
+  if (typeof value !== 'string' || !value) {
+    error(path, `${name} must be a non-empty string`);
+  }
+}
+
+/**
+ * Checks an optional value against a list of valid values
+ * @param {*} value
+ * @param {Array<string>} values
+ * @param {string} path
+ * @param {string} name Name of the value in the message.
+ * @param {function(string, string): void} error
+ */
+function validateEnum(value, values, path, name, error) {
+  if (value !== undefined && !values.includes(value)) {
+    error(path, `${name} must be one of ${formatList(values)}`);
+  }
+}
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Returns true if the value is an array of numbers in the given length range
+ * @param {*} value
+ * @param {number} minLength
+ * @param {number} maxLength
+ * @return {boolean}
+ */
+function isNumberArray(value, minLength, maxLength) {
+  return (
+    Array.isArray(value) &&
+    value.length >= minLength &&
+    value.length <= maxLength &&
+    value.every(isFiniteNumber)
+  );
+}
+
+/**
+ * @param {Array<string>} values
+ * @return {string}
+ */
+function formatList(values) {
+  return values.map((value) => `'${value}'`).join(', ');
+}
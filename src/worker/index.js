@@ -1,13 +1,20 @@
 import './polyfills';
 import '../printer';
 
+// custom worker scripts can import this module to register their layer types
+export { createTiledLayer, registerLayerType } from '../printer';
+
+// this script can run either in a service worker or in a dedicated worker;
+// the following events are only received in a service worker
+
 self.addEventListener('install', function () {
   console.log(`[inkmap] Installing worker...`);
 
   self.skipWaiting();
 });
 
+// pages do not need to be controlled by the worker, since messages are sent
+// to it directly
 self.addEventListener('activate', function () {
-  console.log(`[inkmap] Activated worker, claiming clients.`);
-  self.clients.claim();
+  console.log(`[inkmap] Activated worker.`);
 });
@@ -5,16 +5,15 @@
  * but unfortunately this is not available in workers. As such, this replaces
  * the Image class with a extended OffscreenCanvas class so as to sort of
  * reproduce the Image class behaviour.
+ * Note: OffscreenCanvas being an EventTarget, `load` and `error` listeners can
+ * be added as on an HTMLImage element.
  */
 class Image extends OffscreenCanvas {
   constructor() {
     super(1, 1);
     this.src_ = null;
+    this.abortController_ = null;
     this.hintImageSize(1, 1);
-    this.loadPromiseResolver = null;
-    this.loadPromise = new Promise(
-      (resolve) => (this.loadPromiseResolver = resolve)
-    );
   }
 
   // this is a new API, required because we cannot guess an image size
@@ -26,29 +25,40 @@ class Image extends OffscreenCanvas {
     this.naturalHeight = height;
   }
 
-  // setting `src` will trigger a loading of the image and a trigger of a `load` event eventually
+  // setting `src` will trigger a loading of the image and eventually a `load`
+  // or `error` event, like an HTMLImage element would
+  // setting an empty `src` will abort the ongoing loading, if any
   set src(url) {
-    fetch(url)
-      .then((response) => response.blob())
-      .then((blob) => {
-        const ctx = this.getContext('2d');
-        createImageBitmap(blob).then((imageData) => {
-          ctx.drawImage(imageData, 0, 0);
-          this.loadPromiseResolver();
-        });
+    if (this.abortController_) {
+      this.abortController_.abort();
+      this.abortController_ = null;
+    }
+    this.src_ = url;
+    if (!url) {
+      return;
+    }
+    this.abortController_ = new AbortController();
+    fetch(url, { signal: this.abortController_.signal })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Could not load image ${url}`);
+        }
+        return response.blob();
+      })
+      .then((blob) => createImageBitmap(blob))
+      .then((imageData) => {
+        this.getContext('2d').drawImage(imageData, 0, 0);
+        this.dispatchEvent(new Event('load'));
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          this.dispatchEvent(new Event('error'));
+        }
       });
   }
   get src() {
     return this.src_;
   }
-
-  // this is to sort of comply with the HTMLImage API
-  addEventListener(eventName, callback) {
-    if (eventName === 'load') {
-      this.loadPromise.then(callback);
-    }
-  }
-  removeEventListener() {}
 }
 
 self.Image = Image;
@@ -7,3 +7,13 @@ export function isWorker() {
     self instanceof WorkerGlobalScope
   );
 }
+
+/**
+ * @return {boolean} True if executed in a service worker, false otherwise.
+ */
+export function isServiceWorker() {
+  return (
+    typeof ServiceWorkerGlobalScope !== 'undefined' &&
+    self instanceof ServiceWorkerGlobalScope
+  );
+}
@@ -6,6 +6,7 @@ const { promisify } = require('util');
 const puppeteer = require('puppeteer');
 const webpack = require('webpack');
 const config = require('./webpack.config');
+const nodeConfig = require('../../webpack.node.config');
 const webpackDevServer = require('webpack-dev-server');
 const yargs = require('yargs');
 const pixelmatch = require('pixelmatch');
@@ -21,6 +22,12 @@ const options = yargs
     describe: 'Disable headless mode and leave the browser running for a while',
     type: 'boolean',
     default: false,
+  })
+  .option('node', {
+    describe:
+      'Render the cases in Node.js with node-canvas instead of a browser',
+    type: 'boolean',
+    default: false,
   });
 
 const serverPort = 8888;
@@ -58,6 +65,28 @@ function parsePNG(filepath) {
   });
 }
 
+// composes an image on a white page of the size of the browser viewport, so
+// that it can be compared to a screenshot of the page
+function toViewportImage(image, size) {
+  const page = new png.PNG({ width: size, height: size });
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const pageIndex = (y * size + x) * 4;
+      const imageIndex = (y * image.width + x) * 4;
+      const inImage = x < image.width && y < image.height;
+      const alpha = inImage ? image.data[imageIndex + 3] / 255 : 0;
+      for (let channel = 0; channel < 3; channel++) {
+        const value = inImage ? image.data[imageIndex + channel] : 0;
+        page.data[pageIndex + channel] = Math.round(
+          value * alpha + 255 * (1 - alpha)
+        );
+      }
+      page.data[pageIndex + 3] = 255;
+    }
+  }
+  return page;
+}
+
 // TEST RUN
 
 let browser;
@@ -96,6 +125,41 @@ async function closeBrowser() {
   await browser.close();
 }
 
+let inkmapNode;
+
+async function loadNodeBackend() {
+  const compiler = webpack(nodeConfig);
+  const stats = await promisify(compiler.run.bind(compiler))();
+  if (stats.hasErrors()) {
+    throw new Error(stats.toString('errors-only'));
+  }
+  inkmapNode = require(path.resolve(nodeConfig.output.path, 'inkmap-node.js'));
+  inkmapNode.setCanvasProvider(require('canvas'));
+}
+
+async function runNodeTest(name) {
+  console.log(`Running case ${name} in Node.js...`);
+
+  const spec = require(`./cases/${name}/spec.json`);
+  // relative urls are served by the dev server, as in the browser
+  const layers = spec.layers.map((layer) => ({
+    ...layer,
+    url: layer.url.startsWith('/')
+      ? `http://localhost:${serverPort}${layer.url}`
+      : layer.url,
+  }));
+  const buffer = await inkmapNode.renderSpec({ ...spec, layers });
+
+  const receivedPath = getCaseReceivedImagePath(name);
+  const expectedPath = getCaseExpectedImagePath(name);
+
+  const image = toViewportImage(png.PNG.sync.read(buffer), 256);
+  await promisify(fs.writeFile)(receivedPath, png.PNG.sync.write(image));
+  if (options.argv.fix) {
+    await promisify(fs.copyFile)(receivedPath, expectedPath);
+  }
+}
+
 async function runTest(name) {
   console.log(`Running case ${name}...`);
 
@@ -162,22 +226,29 @@ async function validateResult(name) {
 }
 
 async function runTests() {
-  await startBrowser();
+  const useNode = options.argv.node;
+  if (useNode) {
+    await loadNodeBackend();
+  } else {
+    await startBrowser();
+  }
 
   const cases = await getCases();
 
   for (let name of cases) {
-    await runTest(name);
+    await (useNode ? runNodeTest(name) : runTest(name));
     const mismatch = await validateResult(name);
     failed = failed || mismatch;
   }
 
   // await 30 minutes
-  if (options.argv.interactive) {
+  if (options.argv.interactive && !useNode) {
     await new Promise((resolve) => setTimeout(resolve, 1000 * 60 * 30));
   }
 
-  await closeBrowser();
+  if (!useNode) {
+    await closeBrowser();
+  }
 }
 
 const server = new webpackDevServer(webpack(config), {
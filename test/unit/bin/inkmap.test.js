@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getFormat,
+  getOutputPaths,
+  getPageSize,
+  render,
+} from '../../../bin/inkmap';
+import * as inkmapMock from '../../../dist/inkmap-node.js';
+
+// the built module and node-canvas are not available in the tests
+jest.mock(
+  '../../../dist/inkmap-node.js',
+  () => ({ setCanvasProvider: jest.fn(), renderSpec: jest.fn() }),
+  { virtual: true }
+);
+jest.mock('canvas', () => ({}), { virtual: true });
+
+/** @type {PrintSpec} */
+const spec = {
+  layers: [
+    {
+      type: 'XYZ',
+      url: 'https://my.url/{z}/{x}/{y}.png',
+    },
+  ],
+  size: [210, 297, 'mm'],
+  center: [12, 48],
+  dpi: 200,
+  scale: 40000000,
+  projection: 'EPSG:3857',
+};
+
+describe('inkmap command', () => {
+  let dir;
+  let specPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inkmap-'));
+    specPath = path.join(dir, 'spec.json');
+    fs.writeFileSync(specPath, JSON.stringify(spec));
+    inkmapMock.renderSpec.mockReset();
+    inkmapMock.renderSpec.mockImplementation((renderedSpec, { onStatus }) => {
+      onStatus({ status: 'finished', progress: 1, sourceLoadErrors: [] });
+      return Promise.resolve(Buffer.from('png'));
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('render', () => {
+    it('writes the image and exits with code 0', async () => {
+      const output = path.join(dir, 'map.png');
+      const exitCode = await render({ spec: specPath, output, quiet: true });
+      expect(exitCode).toBe(0);
+      expect(inkmapMock.renderSpec).toHaveBeenCalledWith(
+        spec,
+        expect.any(Object)
+      );
+      expect(fs.readFileSync(output, 'utf8')).toBe('png');
+    });
+    it('exits with code 2 if some sources could not be loaded', async () => {
+      inkmapMock.renderSpec.mockImplementation((renderedSpec, { onStatus }) => {
+        onStatus({
+          status: 'finished',
+          progress: 1,
+          sourceLoadErrors: [{ url: 'https://my.url/1/0/0.png' }],
+        });
+        return Promise.resolve(Buffer.from('png'));
+      });
+      const output = path.join(dir, 'map.png');
+      const exitCode = await render({ spec: specPath, output, quiet: true });
+      expect(exitCode).toBe(2);
+      expect(fs.existsSync(output)).toBe(true);
+      expect(console.error).toHaveBeenCalledWith(
+        '[inkmap] Warning: could not load https://my.url/1/0/0.png'
+      );
+    });
+    it('writes an atlas in numbered files', async () => {
+      fs.writeFileSync(
+        specPath,
+        JSON.stringify({ ...spec, pages: [{}, { center: [2, 46] }] })
+      );
+      inkmapMock.renderSpec.mockResolvedValue([
+        Buffer.from('page 1'),
+        Buffer.from('page 2'),
+      ]);
+      const output = path.join(dir, 'map.png');
+      expect(await render({ spec: specPath, output, quiet: true })).toBe(0);
+      expect(fs.readFileSync(path.join(dir, 'map-1.png'), 'utf8')).toBe(
+        'page 1'
+      );
+      expect(fs.readFileSync(path.join(dir, 'map-2.png'), 'utf8')).toBe(
+        'page 2'
+      );
+    });
+    it('refuses to write an atlas in png to stdout', async () => {
+      fs.writeFileSync(
+        specPath,
+        JSON.stringify({ ...spec, pages: [{}, { center: [2, 46] }] })
+      );
+      await expect(
+        render({ spec: specPath, output: '-', format: 'png', quiet: true })
+      ).rejects.toThrow('An atlas cannot be written to stdout in png');
+      expect(inkmapMock.renderSpec).not.toHaveBeenCalled();
+    });
+    it('rejects if the print failed', async () => {
+      inkmapMock.renderSpec.mockRejectedValue(new Error('oops'));
+      await expect(
+        render({ spec: specPath, output: path.join(dir, 'map.png') })
+      ).rejects.toThrow('oops');
+    });
+  });
+
+  describe('utils', () => {
+    it('guesses the format from the output extension', () => {
+      expect(getFormat(undefined, 'map.JPG')).toBe('jpeg');
+      expect(getFormat(undefined, 'map.pdf')).toBe('pdf');
+      expect(getFormat(undefined, '-')).toBe('png');
+      expect(getFormat('pdf', 'map.png')).toBe('pdf');
+    });
+    it('numbers the output files of an atlas', () => {
+      expect(getOutputPaths('out/map.png', 1)).toEqual(['out/map.png']);
+      expect(getOutputPaths('out/map.png', 2)).toEqual([
+        'out/map-1.png',
+        'out/map-2.png',
+      ]);
+    });
+    it('gives the pdf page size in points', () => {
+      const [width, height] = getPageSize(spec, {});
+      expect(width).toBeCloseTo(595.3, 1);
+      expect(height).toBeCloseTo(841.9, 1);
+      expect(
+        getPageSize({ ...spec, size: [400, 200] }, { width: 400, height: 200 })
+      ).toEqual([144, 72]);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+import { NEVER, Subject } from 'rxjs';
+import {
+  cancelJob,
+  print,
+  queuePrint,
+  setPrinterOptions,
+} from '../../../src/main';
+import { getPrinter } from '../../../src/main/utils';
+import {
+  MESSAGE_JOB_CANCEL,
+  MESSAGE_JOB_REQUEST,
+  MESSAGE_JOB_STATUS,
+} from '../../../src/shared/constants';
+
+jest.mock('../../../src/main/utils', () => ({
+  ...jest.requireActual('../../../src/main/utils'),
+  getPrinter: jest.fn(),
+}));
+
+/** @type {PrintSpec} */
+const spec = {
+  layers: [
+    {
+      type: 'XYZ',
+      url: 'https://my.url/{z}/{x}/{y}.png',
+    },
+  ],
+  size: [210, 297, 'mm'],
+  center: [12, 48],
+  dpi: 200,
+  scale: 40000000,
+  projection: 'EPSG:3857',
+};
+
+describe('printing with a worker printer', () => {
+  let printer;
+
+  beforeEach(() => {
+    printer = {
+      backend: 'dedicated-worker',
+      postMessage: jest.fn(),
+      messages$: NEVER,
+    };
+    getPrinter.mockReturnValue(Promise.resolve(printer));
+  });
+
+  it('rejects a spec with a proxy function', async () => {
+    const layers = [{ ...spec.layers[0], proxy: (url) => url }];
+    await expect(print({ ...spec, layers })).rejects.toMatchObject({
+      code: 'invalidSpec',
+      path: 'layers[0].proxy',
+    });
+    await expect(queuePrint({ ...spec, layers })).rejects.toMatchObject({
+      path: 'layers[0].proxy',
+    });
+    expect(printer.postMessage).not.toHaveBeenCalled();
+  });
+  it('rejects printer options with a proxy function', async () => {
+    await expect(
+      setPrinterOptions({ proxy: (url) => url })
+    ).rejects.toMatchObject({ code: 'invalidSpec', path: 'proxy' });
+    expect(printer.postMessage).not.toHaveBeenCalled();
+  });
+  it('rejects if the request could not be sent to the printer', async () => {
+    const error = new Error('Could not be cloned');
+    printer.postMessage.mockImplementation(() => {
+      throw error;
+    });
+    await expect(print(spec)).rejects.toBe(error);
+    await expect(setPrinterOptions({ maxConcurrentJobs: 1 })).rejects.toBe(
+      error
+    );
+  });
+  it('accepts a proxy function on the main thread', async () => {
+    printer.backend = 'main-thread';
+    await setPrinterOptions({ proxy: (url) => url });
+    expect(printer.postMessage).toHaveBeenCalledWith({
+      type: 'printerOptions',
+      options: { proxy: expect.any(Function) },
+    });
+  });
+});
+
+// the job status stream is shared by all the tests
+const messages$ = new Subject();
+
+/**
+ * Sends a job status from the printer
+ * @param {PrintStatus} status
+ */
+function sendStatus(status) {
+  messages$.next({ type: MESSAGE_JOB_STATUS, status });
+}
+
+function flushPromises() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+describe('printing with a job cache', () => {
+  let printer;
+  let finishedJob;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    finishedJob = {
+      id: 10,
+      status: 'finished',
+      progress: 1,
+      imageBlob: { blob: true },
+      sourceLoadErrors: [],
+    };
+    // the printer answers every request with the finished job
+    printer = {
+      backend: 'main-thread',
+      postMessage: jest.fn((message) => {
+        if (message.type === MESSAGE_JOB_REQUEST) {
+          setTimeout(() =>
+            sendStatus({ ...finishedJob, requestId: message.requestId })
+          );
+        }
+      }),
+      messages$,
+    };
+    getPrinter.mockReturnValue(Promise.resolve(printer));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves print to the image of a finished job', async () => {
+    await expect(print(spec)).resolves.toEqual({ blob: true });
+  });
+  it('resolves queuePrint to the id of a finished job', async () => {
+    await expect(queuePrint(spec)).resolves.toBe(10);
+    await expect(queuePrint(spec)).resolves.toBe(10);
+  });
+  it('does not detach a request from a finished job on cancel', async () => {
+    finishedJob = { ...finishedJob, id: 11 };
+    await queuePrint(spec);
+    cancelJob(11);
+    await flushPromises();
+    expect(printer.postMessage).toHaveBeenCalledWith({
+      type: MESSAGE_JOB_CANCEL,
+      jobId: 11,
+      requestId: undefined,
+    });
+  });
+});
+
+describe('aborting a print', () => {
+  let printer;
+  let controller;
+  let jobId = 100;
+
+  /**
+   * @return {Object} Last job request sent to the printer.
+   */
+  function getJobRequest() {
+    const requests = printer.postMessage.mock.calls
+      .map(([message]) => message)
+      .filter((message) => message.type === MESSAGE_JOB_REQUEST);
+    return requests[requests.length - 1];
+  }
+
+  function getCancelMessages() {
+    return printer.postMessage.mock.calls
+      .map(([message]) => message)
+      .filter((message) => message.type === MESSAGE_JOB_CANCEL);
+  }
+
+  /**
+   * Answers the last job request with a job in the given state
+   * @param {string} status
+   * @return {PrintStatus}
+   */
+  function answerRequest(status) {
+    const job = {
+      id: jobId,
+      requestId: getJobRequest().requestId,
+      status,
+      progress: status === 'finished' ? 1 : 0,
+      imageBlob: status === 'finished' ? { blob: true } : null,
+      sourceLoadErrors: [],
+    };
+    sendStatus(job);
+    return job;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jobId++;
+    controller = new AbortController();
+    printer = {
+      backend: 'main-thread',
+      postMessage: jest.fn(),
+      messages$,
+    };
+    getPrinter.mockReturnValue(Promise.resolve(printer));
+  });
+
+  afterEach(() => {
+    // ends the jobs left ongoing
+    sendStatus({ id: jobId, status: 'cancelled', progress: 0 });
+    jest.restoreAllMocks();
+  });
+
+  it('rejects without sending a request if already aborted', async () => {
+    controller.abort();
+    const options = { signal: controller.signal };
+    await expect(print(spec, options)).rejects.toMatchObject({
+      name: 'AbortError',
+    });
+    await expect(queuePrint(spec, options)).rejects.toMatchObject({
+      name: 'AbortError',
+    });
+    expect(printer.postMessage).not.toHaveBeenCalled();
+  });
+  it('rejects and cancels the job with the request id', async () => {
+    const result = print(spec, { signal: controller.signal });
+    await flushPromises();
+    answerRequest('ongoing');
+    controller.abort();
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(getCancelMessages()).toEqual([
+      {
+        type: MESSAGE_JOB_CANCEL,
+        jobId,
+        requestId: getJobRequest().requestId,
+      },
+    ]);
+  });
+  it('cancels the job once known if aborted before its first status', async () => {
+    const result = print(spec, { signal: controller.signal });
+    await flushPromises();
+    controller.abort();
+    await flushPromises();
+    expect(getCancelMessages()).toEqual([]);
+    answerRequest('pending');
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    await flushPromises();
+    expect(getCancelMessages()).toEqual([
+      expect.objectContaining({ jobId, requestId: getJobRequest().requestId }),
+    ]);
+  });
+  it('does not cancel the job once it is over', async () => {
+    const result = print(spec, { signal: controller.signal });
+    await flushPromises();
+    answerRequest('ongoing');
+    answerRequest('finished');
+    await expect(result).resolves.toEqual({ blob: true });
+    controller.abort();
+    await flushPromises();
+    expect(getCancelMessages()).toEqual([]);
+  });
+  it('cancels a queued job with the request id', async () => {
+    const result = queuePrint(spec, { signal: controller.signal });
+    await flushPromises();
+    answerRequest('pending');
+    await expect(result).resolves.toBe(jobId);
+    controller.abort();
+    await flushPromises();
+    expect(getCancelMessages()).toEqual([
+      {
+        type: MESSAGE_JOB_CANCEL,
+        jobId,
+        requestId: getJobRequest().requestId,
+      },
+    ]);
+  });
+  it('rejects a queued print aborted before the job id is known', async () => {
+    const result = queuePrint(spec, { signal: controller.signal });
+    await flushPromises();
+    controller.abort();
+    answerRequest('pending');
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    await flushPromises();
+    expect(getCancelMessages()).toEqual([
+      expect.objectContaining({ jobId, requestId: getJobRequest().requestId }),
+    ]);
+  });
+});
@@ -0,0 +1,189 @@
+import { take } from 'rxjs/operators';
+import {
+  MESSAGE_PRINTER_PING,
+  MESSAGE_PRINTER_READY,
+} from '../../../src/shared/constants';
+
+class WorkerMock extends EventTarget {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.messages = [];
+    this.terminated = false;
+    WorkerMock.instance = this;
+  }
+  terminate() {
+    this.terminated = true;
+  }
+  postMessage(message) {
+    this.messages.push(message);
+    if (message.type === MESSAGE_PRINTER_PING) {
+      setTimeout(() => {
+        const event = new Event('message');
+        event.data = { type: MESSAGE_PRINTER_READY };
+        this.dispatchEvent(event);
+      });
+    }
+  }
+}
+
+class ServiceWorkerMock extends WorkerMock {
+  constructor(state) {
+    super();
+    this.state = state;
+  }
+  setState(state) {
+    this.state = state;
+    this.dispatchEvent(new Event('statechange'));
+  }
+  postMessage(message) {
+    this.messages.push(message);
+    if (message.type === MESSAGE_PRINTER_PING && this.state === 'activated') {
+      setTimeout(() => {
+        const event = new Event('message');
+        event.data = { type: MESSAGE_PRINTER_READY };
+        navigator.serviceWorker.dispatchEvent(event);
+      });
+    }
+  }
+}
+
+describe('printer initialization', () => {
+  let initPrinter;
+  let getPrinter;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.Worker = WorkerMock;
+    HTMLCanvasElement.prototype.transferControlToOffscreen = () => {};
+    jest.isolateModules(() => {
+      ({ initPrinter, getPrinter } = require('../../../src/main/utils'));
+    });
+  });
+
+  afterEach(() => {
+    delete global.Worker;
+    delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+    jest.restoreAllMocks();
+  });
+
+  it('starts a dedicated worker and waits for it to be ready', async () => {
+    const printer = await initPrinter({
+      backend: 'dedicated-worker',
+      workerUrl: 'path/to/worker.js',
+    });
+    expect(printer.backend).toBe('dedicated-worker');
+    expect(WorkerMock.instance.url).toBe('path/to/worker.js');
+    expect(WorkerMock.instance.messages).toEqual([
+      { type: MESSAGE_PRINTER_PING },
+    ]);
+  });
+  it('sends and receives messages through the dedicated worker', async () => {
+    const printer = await initPrinter({ backend: 'dedicated-worker' });
+    const received = printer.messages$.pipe(take(1)).toPromise();
+    const event = new Event('message');
+    event.data = { type: 'jobStatus' };
+    WorkerMock.instance.dispatchEvent(event);
+    expect(await received).toEqual({ type: 'jobStatus' });
+    printer.postMessage({ type: 'cancelJob', jobId: 1 });
+    expect(WorkerMock.instance.messages).toContainEqual({
+      type: 'cancelJob',
+      jobId: 1,
+    });
+  });
+  it('uses the main thread if OffscreenCanvas is not supported', async () => {
+    delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+    const printer = await initPrinter({ backend: 'dedicated-worker' });
+    expect(printer.backend).toBe('main-thread');
+  });
+  it('falls back to the main thread if the worker fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest
+      .spyOn(WorkerMock.prototype, 'postMessage')
+      .mockImplementation(function () {
+        this.dispatchEvent(new Event('error'));
+      });
+    const printer = await initPrinter({ backend: 'dedicated-worker' });
+    expect(printer.backend).toBe('main-thread');
+    expect(WorkerMock.instance.terminated).toBe(true);
+  });
+  it('falls back to the main thread if the worker does not answer', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest
+      .spyOn(WorkerMock.prototype, 'postMessage')
+      .mockImplementation(() => {});
+    const printer = initPrinter({ backend: 'dedicated-worker' });
+    jest.advanceTimersByTime(10000);
+    expect((await printer).backend).toBe('main-thread');
+    expect(WorkerMock.instance.terminated).toBe(true);
+    jest.useRealTimers();
+  });
+  it('starts with the default options if not initialized', async () => {
+    delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+    const printer = await getPrinter();
+    expect(printer.backend).toBe('main-thread');
+    await expect(initPrinter()).rejects.toThrow('already initialized');
+  });
+});
+
+describe('service worker printer', () => {
+  let initPrinter;
+  let registration;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    HTMLCanvasElement.prototype.transferControlToOffscreen = () => {};
+    const container = new EventTarget();
+    container.startMessages = () => {};
+    container.register = jest.fn(() => Promise.resolve(registration));
+    Object.defineProperty(navigator, 'serviceWorker', {
+      value: container,
+      configurable: true,
+    });
+    jest.isolateModules(() => {
+      ({ initPrinter } = require('../../../src/main/utils'));
+    });
+  });
+
+  afterEach(() => {
+    delete navigator.serviceWorker;
+    delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+    jest.restoreAllMocks();
+  });
+
+  it('uses the active service worker', async () => {
+    const active = new ServiceWorkerMock('activated');
+    registration = { active, installing: null, waiting: null };
+    const printer = await initPrinter({ workerUrl: 'path/to/worker.js' });
+    expect(printer.backend).toBe('service-worker');
+    expect(navigator.serviceWorker.register).toHaveBeenCalledWith(
+      'path/to/worker.js',
+      undefined
+    );
+    expect(active.messages).toEqual([{ type: MESSAGE_PRINTER_PING }]);
+  });
+  it('waits for a new service worker replacing the active one', async () => {
+    const active = new ServiceWorkerMock('activated');
+    const installing = new ServiceWorkerMock('installing');
+    registration = { active, installing, waiting: null };
+    const printer = initPrinter();
+    await Promise.resolve();
+    installing.setState('installed');
+    installing.setState('activating');
+    installing.setState('activated');
+    expect((await printer).backend).toBe('service-worker');
+    expect(installing.messages).toEqual([{ type: MESSAGE_PRINTER_PING }]);
+    expect(active.messages).toEqual([]);
+  });
+  it('falls back to the main thread if the new worker is redundant', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const waiting = new ServiceWorkerMock('installed');
+    registration = { active: null, installing: null, waiting };
+    const printer = initPrinter();
+    await Promise.resolve();
+    waiting.setState('redundant');
+    expect((await printer).backend).toBe('main-thread');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { setCanvasProvider } from '../../../src/node/canvas';
+import { isNode } from '../../../src/node/utils';
+
+class ProviderImageMock {
+  set src(value) {
+    this.loadedSource = value;
+    setTimeout(() => (value === 'broken' ? this.onerror() : this.onload()));
+  }
+}
+
+const providerMock = {
+  createCanvas: jest.fn((width, height) => ({
+    width,
+    height,
+    toBuffer: () => Buffer.from('png data'),
+  })),
+  Image: ProviderImageMock,
+};
+
+describe('node canvas provider', () => {
+  beforeAll(() => {
+    setCanvasProvider(providerMock);
+  });
+
+  afterAll(() => {
+    delete globalThis.document;
+    delete globalThis.Image;
+  });
+
+  it('is running in Node.js', () => {
+    expect(isNode()).toBe(true);
+  });
+
+  describe('document', () => {
+    let canvas;
+
+    beforeEach(() => {
+      canvas = document.createElement('canvas');
+    });
+
+    it('creates canvases with the provider', () => {
+      expect(providerMock.createCanvas).toHaveBeenCalledWith(300, 300);
+      expect(canvas.style).toEqual({});
+    });
+
+    it('converts canvases to PNG blobs', async () => {
+      const blob = await canvas.convertToBlob();
+      expect(blob.type).toBe('image/png');
+      expect(await blob.text()).toBe('png data');
+    });
+
+    it('cannot create other elements', () => {
+      expect(() => document.createElement('div')).toThrow();
+    });
+  });
+
+  describe('Image', () => {
+    let image;
+    let loaded;
+    let failed;
+
+    beforeEach(() => {
+      image = new Image();
+      loaded = false;
+      failed = false;
+      image.addEventListener('load', () => (loaded = true));
+      image.addEventListener('error', () => (failed = true));
+    });
+
+    it('creates images of the provider', () => {
+      expect(image).toBeInstanceOf(ProviderImageMock);
+    });
+
+    it('dispatches a load event once loaded', async () => {
+      image.src = 'http://my.url/image.png';
+      expect(image.src).toBe('http://my.url/image.png');
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(image.loadedSource).toBe('http://my.url/image.png');
+      expect(loaded).toBe(true);
+    });
+
+    it('dispatches an error event if the image cannot be loaded', async () => {
+      image.src = 'broken';
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(failed).toBe(true);
+    });
+
+    it('loads object URLs as buffers', async () => {
+      const url = URL.createObjectURL(new Blob(['image data']));
+      image.src = url;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(image.loadedSource).toEqual(Buffer.from('image data'));
+      expect(loaded).toBe(true);
+      URL.revokeObjectURL(url);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import {
+  interceptRequest,
+  receiveInterception,
+  setRequestInterceptor,
+} from '../../../src/printer/interceptor';
+import { messageToMain } from '../../../src/printer/exchange';
+import { MESSAGE_REQUEST_INTERCEPT } from '../../../src/shared/constants';
+
+jest.mock('../../../src/printer/exchange');
+
+/**
+ * Answers the interception requests sent to the main thread so far
+ * @param {function(Object): Object} getAnswer Receives the sent message and
+ * returns the answer.
+ */
+async function answerInterceptions(getAnswer) {
+  const calls = messageToMain.mock.calls.filter(
+    ([type]) => type === MESSAGE_REQUEST_INTERCEPT
+  );
+  messageToMain.mockClear();
+  calls.forEach(([, message]) =>
+    receiveInterception({
+      interceptionId: message.interceptionId,
+      ...getAnswer(message),
+    })
+  );
+  await new Promise((resolve) => setTimeout(resolve));
+}
+
+describe('request interceptor', () => {
+  beforeEach(() => {
+    messageToMain.mockClear();
+    setRequestInterceptor(true, 'client-1');
+  });
+
+  afterEach(() => {
+    setRequestInterceptor(false);
+  });
+
+  it('leaves requests unchanged when no interceptor is set', async () => {
+    setRequestInterceptor(false);
+    const init = { headers: { 'X-Api-Key': 'abcd' } };
+    await expect(interceptRequest('https://my.url/a', init)).resolves.toEqual({
+      url: 'https://my.url/a',
+      init,
+    });
+    expect(messageToMain).not.toHaveBeenCalled();
+  });
+
+  it('sends the request to the client which set the interceptor', async () => {
+    const request = interceptRequest('https://my.url/a?x=1', {
+      headers: { 'X-Api-Key': 'abcd' },
+      credentials: 'include',
+    });
+    expect(messageToMain).toHaveBeenCalledWith(
+      MESSAGE_REQUEST_INTERCEPT,
+      {
+        interceptionId: expect.any(Number),
+        url: 'https://my.url/a?x=1',
+        headers: { 'X-Api-Key': 'abcd' },
+      },
+      'client-1'
+    );
+    await answerInterceptions(({ url }) => ({
+      interception: { url: `${url}&sig=123`, headers: { 'X-Time': '42' } },
+    }));
+    await expect(request).resolves.toEqual({
+      url: 'https://my.url/a?x=1&sig=123',
+      init: {
+        headers: { 'X-Api-Key': 'abcd', 'X-Time': '42' },
+        credentials: 'include',
+      },
+    });
+  });
+
+  it('calls the interceptor for each request by default', async () => {
+    const first = interceptRequest('https://my.url/a');
+    const second = interceptRequest('https://my.url/b');
+    expect(messageToMain).toHaveBeenCalledTimes(1);
+    await answerInterceptions(({ url }) => ({
+      interception: { url: `${url}?sig=${url.slice(-1)}` },
+    }));
+    await expect(first).resolves.toMatchObject({
+      url: 'https://my.url/a?sig=a',
+    });
+    // the second request was waiting in case the first interception could
+    // be reused
+    await answerInterceptions(({ url }) => ({
+      interception: { url: `${url}?sig=${url.slice(-1)}` },
+    }));
+    await expect(second).resolves.toMatchObject({
+      url: 'https://my.url/b?sig=b',
+    });
+    // the next requests to the host do not wait for each other anymore
+    interceptRequest('https://my.url/c');
+    interceptRequest('https://my.url/d');
+    await new Promise((resolve) => setTimeout(resolve));
+    expect(messageToMain).toHaveBeenCalledTimes(2);
+  });
+
+  it('reuses the added parameters and headers for the same host', async () => {
+    const first = interceptRequest('https://my.url/a?x=1');
+    const second = interceptRequest('https://my.url/b?x=2');
+    const otherHost = interceptRequest('https://other.url/c');
+    expect(messageToMain).toHaveBeenCalledTimes(2);
+    await answerInterceptions(({ url }) => ({
+      interception: {
+        url: `${url}${url.includes('?') ? '&' : '?'}sig=123`,
+        headers: { 'X-Time': '42' },
+        maxAge: 60000,
+      },
+    }));
+    await expect(first).resolves.toMatchObject({
+      url: 'https://my.url/a?x=1&sig=123',
+    });
+    await expect(second).resolves.toEqual({
+      url: 'https://my.url/b?x=2&sig=123',
+      init: { headers: { 'X-Time': '42' } },
+    });
+    await expect(otherHost).resolves.toMatchObject({
+      url: 'https://other.url/c?sig=123',
+    });
+    await interceptRequest('https://my.url/d');
+    expect(messageToMain).not.toHaveBeenCalled();
+  });
+
+  it('calls the interceptor again once the rewrite expired', async () => {
+    const now = Date.now();
+    interceptRequest('https://my.url/a');
+    await answerInterceptions(() => ({ interception: { maxAge: 1000 } }));
+    const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+    interceptRequest('https://my.url/b');
+    expect(messageToMain).toHaveBeenCalledTimes(1);
+    dateSpy.mockRestore();
+  });
+
+  it('does not reuse an interception changing the url path', async () => {
+    const first = interceptRequest('https://my.url/a');
+    const second = interceptRequest('https://my.url/b');
+    await answerInterceptions(({ url }) => ({
+      interception: {
+        url: url.replace('my.url/', 'my.url/signed/'),
+        maxAge: 60000,
+      },
+    }));
+    await expect(first).resolves.toMatchObject({
+      url: 'https://my.url/signed/a',
+    });
+    // the second request was waiting for the first interception
+    await answerInterceptions(({ url }) => ({
+      interception: {
+        url: url.replace('my.url/', 'my.url/signed/'),
+        maxAge: 60000,
+      },
+    }));
+    await expect(second).resolves.toMatchObject({
+      url: 'https://my.url/signed/b',
+    });
+  });
+
+  it('sends pending requests unchanged once disabled', async () => {
+    const request = interceptRequest('https://my.url/a');
+    setRequestInterceptor(false);
+    await expect(request).resolves.toEqual({
+      url: 'https://my.url/a',
+      init: { headers: {} },
+    });
+  });
+
+  it('rejects if the interceptor failed', async () => {
+    const rejection = expect(interceptRequest('https://my.url/a')).rejects;
+    const assertion = rejection.toThrow(
+      'The request interceptor failed: Could not sign'
+    );
+    await answerInterceptions(() => ({ error: 'Could not sign' }));
+    await assertion;
+    interceptRequest('https://my.url/a');
+    expect(messageToMain).toHaveBeenCalledTimes(1);
+  });
+});
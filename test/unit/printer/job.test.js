@@ -1,14 +1,46 @@
-import { BehaviorSubject, of } from 'rxjs';
-import { createJob } from '../../../src/printer/job';
+import 'fake-indexeddb/auto';
+import { BehaviorSubject, defer, of } from 'rxjs';
+import {
+  cancelJob,
+  createJob,
+  pauseJob,
+  restoreStoredJobs,
+  resumeJob,
+  setJobsBroadcast,
+  startPendingJobs,
+} from '../../../src/printer/job';
+import {
+  getPrinterOptions,
+  updatePrinterOptions,
+} from '../../../src/printer/options';
 import * as LayersMock from '../../../src/printer/layers';
 import { messageToMain } from '../../../src/printer/exchange';
 import * as UtilsMock from '../../../src/printer/utils';
-import { MESSAGE_JOB_STATUS } from '../../../src/shared/constants';
+import * as SchedulerMock from '../../../src/printer/scheduler';
+import {
+  ERROR_INTERRUPTED,
+  ERROR_NO_LAYERS,
+  ERROR_NO_PAGES,
+  ERROR_PAGE_TOO_LARGE,
+  ERROR_TIMEOUT,
+  ERROR_UNEXPECTED,
+  ERROR_UNKNOWN_LAYER_TYPE,
+  ERROR_UNKNOWN_PROJECTION,
+  MESSAGE_JOB_STATUS,
+} from '../../../src/shared/constants';
 import * as olDomMock from 'ol/dom';
+import { containsExtent } from 'ol/extent';
+import {
+  clearStoredJobs,
+  readStoredJobs,
+  writeJobStatus,
+} from '../../../src/shared/storage';
+import { transformExtent } from 'ol/proj';
 
 jest.mock('../../../src/printer/layers');
 jest.mock('../../../src/printer/exchange');
 jest.mock('../../../src/printer/utils');
+jest.mock('../../../src/printer/scheduler');
 jest.mock('ol/dom');
 
 const spec = {
@@ -45,17 +77,54 @@ LayersMock.createLayer = jest.fn(() => {
 
 UtilsMock.canvasToBlob = jest.fn(() => of({ blob: true }));
 
+SchedulerMock.scheduleTask = jest.fn((task) => defer(() => of(task())));
+
 olDomMock.createCanvasContext2D = jest.fn(() => {
   return {
     drawImage: jest.fn(),
   };
 });
 
+function flushPromises(delay) {
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+function getLastStatus(jobId) {
+  const calls = messageToMain.mock.calls.filter(
+    ([, message]) => message.status.id === jobId
+  );
+  return calls[calls.length - 1][1].status;
+}
+
 describe('job creation', () => {
+  let jobId;
+
   beforeEach(() => {
     layerSubjects = [];
     jest.clearAllMocks();
-    createJob(spec);
+    jobId = createJob(spec, { clientId: 'client-1' });
+  });
+
+  afterEach(() => {
+    cancelJob(jobId);
+  });
+
+  it('broadcasts a pending status first', () => {
+    expect(messageToMain).toHaveBeenNthCalledWith(
+      1,
+      MESSAGE_JOB_STATUS,
+      {
+        status: {
+          id: jobId,
+          progress: 0,
+          spec,
+          status: 'pending',
+          sourceLoadErrors: [],
+          estimatedTimeRemaining: null,
+        },
+      },
+      'client-1'
+    );
   });
 
   it('creates the correct amount of layers', () => {
@@ -65,49 +134,836 @@ describe('job creation', () => {
     expect(olDomMock.createCanvasContext2D).toHaveBeenLastCalledWith(630, 315);
   });
   it('broadcasts initial status to the main thread', () => {
-    expect(messageToMain).toHaveBeenLastCalledWith(MESSAGE_JOB_STATUS, {
-      status: {
-        id: expect.any(Number),
-        imageBlob: null,
-        progress: 0,
-        spec,
-        status: 'ongoing',
-        sourceLoadErrors: [],
+    expect(messageToMain).toHaveBeenLastCalledWith(
+      MESSAGE_JOB_STATUS,
+      {
+        status: {
+          id: expect.any(Number),
+          imageBlob: null,
+          progress: 0,
+          spec,
+          status: 'ongoing',
+          sourceLoadErrors: [],
+          estimatedTimeRemaining: null,
+          layers: expect.any(Array),
+        },
       },
-    });
+      'client-1'
+    );
   });
   it('broadcast advancement status', () => {
     layerSubjects[0].next([0.1, null, undefined]);
     layerSubjects[1].next([0.9, null, undefined]);
     layerSubjects[2].next([0.2, null, undefined]);
-    expect(messageToMain).toHaveBeenLastCalledWith(MESSAGE_JOB_STATUS, {
-      status: {
-        id: expect.any(Number),
-        imageBlob: null,
-        progress: 0.4,
-        spec,
-        status: 'ongoing',
-        sourceLoadErrors: [],
+    expect(messageToMain).toHaveBeenLastCalledWith(
+      MESSAGE_JOB_STATUS,
+      {
+        status: {
+          id: expect.any(Number),
+          imageBlob: null,
+          progress: 0.4,
+          spec,
+          status: 'ongoing',
+          sourceLoadErrors: [],
+          estimatedTimeRemaining: expect.any(Number),
+          layers: expect.any(Array),
+        },
       },
-    });
+      'client-1'
+    );
+  });
+  it('weighs layer progress by their amount of requests', () => {
+    layerSubjects[0].next([0.5, null, undefined, 100]);
+    layerSubjects[1].next([0, null, undefined, 99]);
+    layerSubjects[2].next([1, null, undefined, 1]);
+    expect(getLastStatus(jobId).progress).toBe(0.255);
+  });
+  it('estimates the remaining time from the progress made so far', () => {
+    const now = Date.now();
+    const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now + 3000);
+    layerSubjects[0].next([0.75, null, undefined]);
+    layerSubjects[1].next([0.75, null, undefined]);
+    layerSubjects[2].next([0.75, null, undefined]);
+    dateSpy.mockRestore();
+    const { estimatedTimeRemaining } = getLastStatus(jobId);
+    expect(estimatedTimeRemaining).toBeGreaterThan(900);
+    expect(estimatedTimeRemaining).toBeLessThanOrEqual(1000);
+  });
+  it('gives the status of each layer', () => {
+    layerSubjects[0].next([0.5, null, undefined, 20, 2]);
+    layerSubjects[1].next([1, { style: {} }, errorurl, 10, 10]);
+    expect(getLastStatus(jobId).layers).toEqual([
+      {
+        progress: 0.5,
+        loadedCount: 8,
+        totalCount: 20,
+        errorCount: 2,
+        state: 'loading',
+      },
+      {
+        progress: 1,
+        loadedCount: 0,
+        totalCount: 10,
+        errorCount: 10,
+        state: 'failed',
+      },
+      {
+        progress: 0,
+        loadedCount: 0,
+        totalCount: 1,
+        errorCount: 0,
+        state: 'loading',
+      },
+    ]);
   });
   it('prints all layers to a final canvas and passes errorurls to status when finished', () => {
     layerSubjects[0].next([1, { style: {} }, errorurl]);
     layerSubjects[1].next([1, { style: {} }]);
     layerSubjects[2].next([1, { style: {} }]);
-    expect(messageToMain).toHaveBeenLastCalledWith(MESSAGE_JOB_STATUS, {
-      status: {
-        id: expect.any(Number),
-        imageBlob: { blob: true },
+    expect(messageToMain).toHaveBeenLastCalledWith(
+      MESSAGE_JOB_STATUS,
+      {
+        status: {
+          id: expect.any(Number),
+          imageBlob: { blob: true },
+          progress: 1,
+          spec,
+          status: 'finished',
+          sourceLoadErrors: [
+            {
+              url: errorurl,
+            },
+          ],
+          estimatedTimeRemaining: 0,
+          layers: expect.any(Array),
+        },
+      },
+      'client-1'
+    );
+  });
+
+  describe('job cancellation', () => {
+    beforeEach(() => {
+      layerSubjects[0].next([0.4, null, undefined]);
+      cancelJob(jobId);
+    });
+
+    it('stops listening to layers', () => {
+      expect(layerSubjects.every((layer$) => !layer$.observers.length)).toBe(
+        true
+      );
+    });
+    it('broadcasts a final cancelled status', () => {
+      expect(messageToMain).toHaveBeenLastCalledWith(
+        MESSAGE_JOB_STATUS,
+        {
+          status: {
+            id: expect.any(Number),
+            imageBlob: null,
+            progress: 0.1333,
+            spec,
+            status: 'cancelled',
+            sourceLoadErrors: [],
+            estimatedTimeRemaining: null,
+            layers: expect.any(Array),
+          },
+        },
+        'client-1'
+      );
+    });
+    it('ignores layer updates afterwards', () => {
+      const callCount = messageToMain.mock.calls.length;
+      layerSubjects[1].next([1, { style: {} }]);
+      expect(messageToMain).toHaveBeenCalledTimes(callCount);
+    });
+  });
+
+  describe('job queue', () => {
+    let otherJobIds;
+
+    beforeEach(async () => {
+      await flushPromises();
+      otherJobIds = [
+        createJob(spec),
+        createJob(spec),
+        createJob(spec, { priority: 1 }),
+        createJob({ ...spec, priority: 2 }),
+      ];
+      await flushPromises();
+    });
+
+    afterEach(() => {
+      otherJobIds.forEach((otherJobId) => cancelJob(otherJobId));
+      updatePrinterOptions({ maxConcurrentJobs: 2 });
+    });
+
+    it('only starts jobs up to the concurrency limit', () => {
+      expect(getLastStatus(otherJobIds[0]).status).toBe('ongoing');
+      expect(getLastStatus(otherJobIds[1]).status).toBe('pending');
+      expect(getLastStatus(otherJobIds[2]).status).toBe('pending');
+      expect(getLastStatus(otherJobIds[3]).status).toBe('pending');
+      expect(LayersMock.createLayer).toHaveBeenCalledTimes(6);
+    });
+    it('starts the pending job with the highest priority when a job ends', async () => {
+      cancelJob(jobId);
+      await flushPromises();
+      expect(getLastStatus(otherJobIds[3]).status).toBe('ongoing');
+      expect(getLastStatus(otherJobIds[2]).status).toBe('pending');
+      cancelJob(otherJobIds[3]);
+      await flushPromises();
+      expect(getLastStatus(otherJobIds[2]).status).toBe('ongoing');
+      expect(getLastStatus(otherJobIds[1]).status).toBe('pending');
+    });
+    it('starts pending jobs when the concurrency limit is raised', async () => {
+      updatePrinterOptions({ maxConcurrentJobs: 4 });
+      startPendingJobs();
+      await flushPromises();
+      expect(getLastStatus(otherJobIds[3]).status).toBe('ongoing');
+      expect(getLastStatus(otherJobIds[2]).status).toBe('ongoing');
+      expect(getLastStatus(otherJobIds[1]).status).toBe('pending');
+    });
+    it('cancels a pending job', () => {
+      cancelJob(otherJobIds[1]);
+      expect(getLastStatus(otherJobIds[1]).status).toBe('cancelled');
+    });
+    it('does not start a paused pending job until resumed', async () => {
+      pauseJob(otherJobIds[3]);
+      expect(getLastStatus(otherJobIds[3]).status).toBe('paused');
+      cancelJob(jobId);
+      await flushPromises();
+      expect(getLastStatus(otherJobIds[3]).status).toBe('paused');
+      expect(getLastStatus(otherJobIds[2]).status).toBe('ongoing');
+      resumeJob(otherJobIds[3]);
+      expect(getLastStatus(otherJobIds[3]).status).toBe('pending');
+      cancelJob(otherJobIds[2]);
+      await flushPromises();
+      expect(getLastStatus(otherJobIds[3]).status).toBe('ongoing');
+    });
+  });
+
+  describe('job pause', () => {
+    let paused$;
+
+    beforeEach(async () => {
+      await flushPromises();
+      paused$ = LayersMock.createLayer.mock.calls[0][2];
+      layerSubjects[0].next([0.4, null, undefined]);
+      pauseJob(jobId);
+    });
+
+    it('broadcasts a paused status', () => {
+      expect(getLastStatus(jobId)).toEqual(
+        expect.objectContaining({
+          status: 'paused',
+          progress: 0.1333,
+          estimatedTimeRemaining: null,
+        })
+      );
+    });
+    it('pauses the layers', () => {
+      let paused;
+      paused$.subscribe((value) => (paused = value));
+      expect(paused).toBe(true);
+    });
+    it('keeps the paused state on layer updates', () => {
+      layerSubjects[1].next([0.4, null, undefined]);
+      expect(getLastStatus(jobId)).toEqual(
+        expect.objectContaining({
+          status: 'paused',
+          progress: 0.2667,
+        })
+      );
+    });
+    it('resumes the job and the layers', () => {
+      let paused;
+      paused$.subscribe((value) => (paused = value));
+      resumeJob(jobId);
+      expect(getLastStatus(jobId).status).toBe('ongoing');
+      expect(paused).toBe(false);
+    });
+    it('still finishes if the layers are done', () => {
+      layerSubjects[0].next([1, { style: {} }]);
+      layerSubjects[1].next([1, { style: {} }]);
+      layerSubjects[2].next([1, { style: {} }]);
+      expect(getLastStatus(jobId).status).toBe('finished');
+    });
+  });
+
+  describe('job failure', () => {
+    let failedJobId;
+
+    beforeEach(async () => {
+      // make sure the job from the parent block does not take a slot
+      cancelJob(jobId);
+      await flushPromises();
+    });
+
+    afterEach(() => {
+      cancelJob(failedJobId);
+    });
+
+    it('fails if the spec has no layers', async () => {
+      failedJobId = createJob({ ...spec, layers: [] });
+      await flushPromises();
+      expect(getLastStatus(failedJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: {
+            code: ERROR_NO_LAYERS,
+            message: expect.any(String),
+            path: 'layers',
+          },
+        })
+      );
+    });
+    it('fails if the page is wider or taller than a canvas can be', async () => {
+      failedJobId = createJob({ ...spec, size: [200, 1189, 'mm'], dpi: 600 });
+      await flushPromises();
+      expect(getLastStatus(failedJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: {
+            code: ERROR_PAGE_TOO_LARGE,
+            message: expect.any(String),
+            path: 'size',
+          },
+        })
+      );
+    });
+    it('fails if the page has more pixels than allowed', async () => {
+      failedJobId = createJob({ ...spec, size: [841, 1189, 'mm'], dpi: 300 });
+      await flushPromises();
+      expect(getLastStatus(failedJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: expect.objectContaining({
+            code: ERROR_PAGE_TOO_LARGE,
+            path: 'size',
+          }),
+        })
+      );
+    });
+    it('uses the maximum pixel count of the printer options', async () => {
+      const { maxPagePixels } = getPrinterOptions();
+      updatePrinterOptions({ maxPagePixels: 630 * 314 });
+      failedJobId = createJob(spec);
+      await flushPromises();
+      updatePrinterOptions({ maxPagePixels });
+      expect(getLastStatus(failedJobId).error).toMatchObject({
+        code: ERROR_PAGE_TOO_LARGE,
+      });
+    });
+    it('fails if the projection is unknown', async () => {
+      failedJobId = createJob({ ...spec, projection: 'ABC:1234' });
+      await flushPromises();
+      expect(getLastStatus(failedJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: {
+            code: ERROR_UNKNOWN_PROJECTION,
+            message: expect.any(String),
+            path: 'projection',
+          },
+        })
+      );
+    });
+    it('fails if a layer type is unknown', async () => {
+      LayersMock.createLayer.mockImplementationOnce(() => {
+        const layer$ = new BehaviorSubject([0, null, undefined]);
+        layerSubjects.push(layer$);
+        return layer$;
+      });
+      LayersMock.createLayer.mockImplementationOnce(() => undefined);
+      failedJobId = createJob(spec);
+      await flushPromises();
+      expect(getLastStatus(failedJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: {
+            code: ERROR_UNKNOWN_LAYER_TYPE,
+            message: expect.any(String),
+            path: 'layers[1].type',
+          },
+        })
+      );
+    });
+    it('fails if a layer emits an error', async () => {
+      failedJobId = createJob(spec);
+      await flushPromises();
+      layerSubjects[layerSubjects.length - 1].error(new Error('oops'));
+      expect(getLastStatus(failedJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: {
+            code: ERROR_UNEXPECTED,
+            message: 'oops',
+          },
+        })
+      );
+    });
+    it('frees its slot for pending jobs', async () => {
+      failedJobId = createJob({ ...spec, layers: [] });
+      const otherJobIds = [createJob(spec), createJob(spec)];
+      await flushPromises();
+      expect(getLastStatus(otherJobIds[1]).status).toBe('ongoing');
+      otherJobIds.forEach((otherJobId) => cancelJob(otherJobId));
+    });
+  });
+
+  describe('job timeout', () => {
+    let timedOutJobId;
+
+    beforeEach(async () => {
+      cancelJob(jobId);
+      await flushPromises();
+    });
+
+    afterEach(() => {
+      cancelJob(timedOutJobId);
+    });
+
+    it('fails when the job timeout is reached', async () => {
+      timedOutJobId = createJob({ ...spec, timeout: 10 });
+      await flushPromises(20);
+      expect(getLastStatus(timedOutJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: {
+            code: ERROR_TIMEOUT,
+            message: expect.any(String),
+            path: 'timeout',
+          },
+        })
+      );
+    });
+    it('fails when a layer timeout is reached', async () => {
+      const layers = [...spec.layers];
+      layers[2] = { ...layers[2], timeout: 10 };
+      timedOutJobId = createJob({ ...spec, layers });
+      await flushPromises(20);
+      expect(getLastStatus(timedOutJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: {
+            code: ERROR_TIMEOUT,
+            message: expect.any(String),
+            path: 'layers[2].timeout',
+          },
+        })
+      );
+    });
+    it('does not count the time spent paused', async () => {
+      timedOutJobId = createJob({ ...spec, timeout: 10 });
+      await flushPromises();
+      pauseJob(timedOutJobId);
+      await flushPromises(20);
+      expect(getLastStatus(timedOutJobId).status).toBe('paused');
+      resumeJob(timedOutJobId);
+      await flushPromises(20);
+      expect(getLastStatus(timedOutJobId).status).toBe('failed');
+    });
+    it('prints the other layers with a partial policy', async () => {
+      const layers = [...spec.layers];
+      layers[2] = { ...layers[2], timeout: 10 };
+      timedOutJobId = createJob({ ...spec, layers, timeoutPolicy: 'partial' });
+      await flushPromises();
+      const jobLayers = layerSubjects.slice(-3);
+      jobLayers[0].next([1, { style: {} }]);
+      jobLayers[1].next([1, { style: {} }]);
+      expect(getLastStatus(timedOutJobId).status).toBe('ongoing');
+      await flushPromises(20);
+      expect(getLastStatus(timedOutJobId)).toEqual(
+        expect.objectContaining({
+          status: 'finished',
+          progress: 1,
+          imageBlob: { blob: true },
+          sourceLoadErrors: [{ url: 'https://my.url/wms', timedOut: true }],
+        })
+      );
+      expect(getLastStatus(timedOutJobId).layers[2]).toEqual({
         progress: 1,
-        spec,
-        status: 'finished',
-        sourceLoadErrors: [
-          {
-            url: errorurl,
+        loadedCount: 0,
+        totalCount: 1,
+        errorCount: 1,
+        state: 'failed',
+      });
+      expect(jobLayers[2].observers.length).toBe(0);
+    });
+  });
+
+  describe('status routing', () => {
+    let otherJobId;
+
+    afterEach(() => {
+      cancelJob(otherJobId);
+      setJobsBroadcast('client-3', false);
+    });
+
+    it('sends status updates to the requesting client', () => {
+      otherJobId = createJob(spec, { clientId: 'client-2' });
+      expect(messageToMain).toHaveBeenLastCalledWith(
+        MESSAGE_JOB_STATUS,
+        { status: expect.objectContaining({ id: otherJobId }) },
+        'client-2'
+      );
+    });
+    it('echoes the request id in the job status', () => {
+      otherJobId = createJob(spec, { clientId: 'client-2', requestId: 'abc' });
+      expect(messageToMain).toHaveBeenLastCalledWith(
+        MESSAGE_JOB_STATUS,
+        {
+          status: expect.objectContaining({ id: otherJobId, requestId: 'abc' }),
+        },
+        'client-2'
+      );
+    });
+    it('also sends status updates to clients with broadcast enabled', () => {
+      setJobsBroadcast('client-3', true);
+      otherJobId = createJob(spec, { clientId: 'client-2' });
+      expect(messageToMain).toHaveBeenCalledWith(
+        MESSAGE_JOB_STATUS,
+        { status: expect.objectContaining({ id: otherJobId }) },
+        'client-2'
+      );
+      expect(messageToMain).toHaveBeenCalledWith(
+        MESSAGE_JOB_STATUS,
+        { status: expect.objectContaining({ id: otherJobId }) },
+        'client-3'
+      );
+    });
+  });
+
+  describe('atlas printing', () => {
+    const pageExtent = [5, 45, 6, 46];
+    let atlasJobId;
+
+    beforeEach(async () => {
+      cancelJob(jobId);
+      await flushPromises();
+      LayersMock.createLayer.mockClear();
+      atlasJobId = createJob({
+        ...spec,
+        pages: [{ center: [2, 46] }, { extent: pageExtent }],
+      });
+      await flushPromises();
+    });
+
+    afterEach(() => {
+      cancelJob(atlasJobId);
+    });
+
+    function finishPage() {
+      layerSubjects.slice(-3).forEach((layer$) => layer$.next([1, {}]));
+    }
+
+    it('prints the pages one after the other', () => {
+      expect(LayersMock.createLayer).toHaveBeenCalledTimes(3);
+      finishPage();
+      expect(LayersMock.createLayer).toHaveBeenCalledTimes(6);
+    });
+    it('gives the progress of each page', () => {
+      finishPage();
+      layerSubjects[layerSubjects.length - 3].next([0.6, null, undefined]);
+      expect(getLastStatus(atlasJobId)).toEqual(
+        expect.objectContaining({
+          status: 'ongoing',
+          progress: 0.6,
+          imageBlob: null,
+          imageBlobs: null,
+          pages: [
+            { progress: 1, state: 'done' },
+            { progress: 0.2, state: 'loading' },
+          ],
+        })
+      );
+    });
+    it('gives the image of each page when finished', () => {
+      finishPage();
+      finishPage();
+      expect(getLastStatus(atlasJobId)).toEqual(
+        expect.objectContaining({
+          status: 'finished',
+          progress: 1,
+          imageBlobs: [{ blob: true }, { blob: true }],
+          pages: [
+            { progress: 1, state: 'done' },
+            { progress: 1, state: 'done' },
+          ],
+        })
+      );
+    });
+    it('reports source load errors with their page', () => {
+      layerSubjects
+        .slice(-3)
+        .forEach((layer$, i) => layer$.next([1, {}, i ? undefined : errorurl]));
+      finishPage();
+      expect(getLastStatus(atlasJobId).sourceLoadErrors).toEqual([
+        { url: errorurl, page: 0 },
+      ]);
+    });
+    it('shares the tile sources between pages', () => {
+      finishPage();
+      const { calls } = LayersMock.createLayer.mock;
+      expect(calls[0][3]).toBeInstanceOf(Map);
+      expect(calls[3][3]).toBe(calls[0][3]);
+    });
+    it('fits the page extent in the map', () => {
+      finishPage();
+      const frameState = LayersMock.createLayer.mock.calls[3][1];
+      expect(
+        containsExtent(
+          frameState.extent,
+          transformExtent(pageExtent, 'EPSG:4326', 'EPSG:3857')
+        )
+      ).toBe(true);
+      expect(frameState.viewState.resolution).toBeLessThan(1000);
+    });
+    it('fails if the pages are empty', async () => {
+      const failedJobId = createJob({ ...spec, pages: [] });
+      await flushPromises();
+      expect(getLastStatus(failedJobId)).toEqual(
+        expect.objectContaining({
+          status: 'failed',
+          error: {
+            code: ERROR_NO_PAGES,
+            message: expect.any(String),
+            path: 'pages',
           },
-        ],
-      },
+        })
+      );
+    });
+  });
+
+  describe('job cache', () => {
+    let otherJobId;
+
+    beforeEach(() => {
+      updatePrinterOptions({ jobCache: { size: 2, ttl: 1000 } });
+    });
+
+    afterEach(() => {
+      cancelJob(otherJobId);
+      updatePrinterOptions({ jobCache: { size: 0 } });
+    });
+
+    function finishJob() {
+      layerSubjects.slice(-3).forEach((layer$) => layer$.next([1, {}]));
+    }
+
+    it('does not reuse jobs when disabled', () => {
+      updatePrinterOptions({ jobCache: { size: 0 } });
+      otherJobId = createJob(spec);
+      expect(otherJobId).not.toBe(jobId);
+    });
+    it('attaches an identical request to a job not over yet', () => {
+      otherJobId = createJob(
+        { ...spec, layers: spec.layers.map((layer) => ({ ...layer })) },
+        { clientId: 'client-2', requestId: 'abc' }
+      );
+      expect(otherJobId).toBe(jobId);
+      expect(messageToMain).toHaveBeenLastCalledWith(
+        MESSAGE_JOB_STATUS,
+        {
+          status: expect.objectContaining({ id: jobId, requestId: 'abc' }),
+        },
+        'client-2'
+      );
+      layerSubjects[0].next([0.5, null, undefined]);
+      expect(messageToMain).toHaveBeenCalledWith(
+        MESSAGE_JOB_STATUS,
+        { status: expect.objectContaining({ id: jobId, progress: 0.1667 }) },
+        'client-1'
+      );
+      expect(messageToMain).toHaveBeenCalledWith(
+        MESSAGE_JOB_STATUS,
+        { status: expect.objectContaining({ id: jobId, progress: 0.1667 }) },
+        'client-2'
+      );
+    });
+    it('only cancels a shared job once all its requests gave up', () => {
+      const sharedSpec = { ...spec, scale: 30000 };
+      otherJobId = createJob(sharedSpec, {
+        clientId: 'client-1',
+        requestId: 'abc',
+      });
+      createJob(sharedSpec, { clientId: 'client-2', requestId: 'def' });
+      cancelJob(otherJobId, 'abc');
+      expect(getLastStatus(otherJobId).status).not.toBe('cancelled');
+      cancelJob(otherJobId, 'def');
+      expect(getLastStatus(otherJobId).status).toBe('cancelled');
+    });
+    it('cancels a shared job for all requests without a request id', () => {
+      const sharedSpec = { ...spec, scale: 30000 };
+      otherJobId = createJob(sharedSpec, { requestId: 'abc' });
+      createJob(sharedSpec, { requestId: 'def' });
+      cancelJob(otherJobId);
+      expect(getLastStatus(otherJobId).status).toBe('cancelled');
+    });
+    it('does not attach a request with a different spec', () => {
+      otherJobId = createJob({ ...spec, scale: 10000 });
+      expect(otherJobId).not.toBe(jobId);
+    });
+    it('gives the result of a recently finished job', () => {
+      finishJob();
+      otherJobId = createJob(spec, { clientId: 'client-2', requestId: 'abc' });
+      expect(otherJobId).toBe(jobId);
+      expect(messageToMain).toHaveBeenLastCalledWith(
+        MESSAGE_JOB_STATUS,
+        {
+          status: expect.objectContaining({
+            id: jobId,
+            requestId: 'abc',
+            status: 'finished',
+            imageBlob: { blob: true },
+          }),
+        },
+        'client-2'
+      );
+    });
+    it('does not reuse a finished job after the TTL', () => {
+      finishJob();
+      const now = Date.now();
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+      otherJobId = createJob(spec);
+      dateSpy.mockRestore();
+      expect(otherJobId).not.toBe(jobId);
+    });
+    it('keeps at most the cache size of finished jobs', async () => {
+      finishJob();
+      for (const scale of [10000, 20000]) {
+        createJob({ ...spec, scale });
+        await flushPromises();
+        finishJob();
+      }
+      otherJobId = createJob(spec);
+      expect(otherJobId).not.toBe(jobId);
+    });
+  });
+
+  describe('oversized print', () => {
+    let largeJobId;
+    let context;
+    let maxCanvasSize;
+
+    beforeEach(async () => {
+      cancelJob(jobId);
+      await flushPromises();
+      maxCanvasSize = getPrinterOptions().maxCanvasSize;
+      updatePrinterOptions({ maxCanvasSize: 400 });
+      LayersMock.createLayer.mockClear();
+      olDomMock.createCanvasContext2D.mockClear();
+      largeJobId = createJob(spec);
+      await flushPromises();
+      context = olDomMock.createCanvasContext2D.mock.results[0].value;
     });
+
+    afterEach(() => {
+      cancelJob(largeJobId);
+      updatePrinterOptions({ maxCanvasSize });
+    });
+
+    it('renders the layers in blocks no larger than the maximum size', () => {
+      expect(olDomMock.createCanvasContext2D).toHaveBeenCalledWith(630, 315);
+      expect(LayersMock.createLayer).toHaveBeenCalledTimes(3);
+      expect(LayersMock.createLayer.mock.calls[0][1].size).toEqual([400, 315]);
+      layerSubjects.slice(-3).forEach((layer$) => layer$.next([1, {}]));
+      expect(LayersMock.createLayer).toHaveBeenCalledTimes(6);
+      expect(LayersMock.createLayer.mock.calls[3][1].size).toEqual([230, 315]);
+    });
+    it('gives each block the extent of its part of the page', () => {
+      layerSubjects.slice(-3).forEach((layer$) => layer$.next([1, {}]));
+      const [
+        firstFrameState,
+        ,
+        ,
+        secondFrameState,
+      ] = LayersMock.createLayer.mock.calls.map(([, frameState]) => frameState);
+      expect(secondFrameState.extent[0]).toBeCloseTo(firstFrameState.extent[2]);
+      expect(secondFrameState.extent[3]).toBeCloseTo(firstFrameState.extent[3]);
+    });
+    it('draws each layer at the block offset in the layers order', () => {
+      const [layer1$, layer2$, layer3$] = layerSubjects.slice(-3);
+      const canvases = [{ id: 1 }, { id: 2 }, { id: 3 }];
+      layer2$.next([1, canvases[1]]);
+      expect(context.drawImage).not.toHaveBeenCalled();
+      layer1$.next([1, canvases[0]]);
+      layer3$.next([1, canvases[2]]);
+      layerSubjects
+        .slice(-3)
+        .forEach((layer$, i) => layer$.next([1, canvases[i]]));
+      expect(context.drawImage.mock.calls).toEqual([
+        [canvases[0], 0, 0, 400, 315, 0, 0, 400, 315],
+        [canvases[1], 0, 0, 400, 315, 0, 0, 400, 315],
+        [canvases[2], 0, 0, 400, 315, 0, 0, 400, 315],
+        [canvases[0], 0, 0, 230, 315, 400, 0, 230, 315],
+        [canvases[1], 0, 0, 230, 315, 400, 0, 230, 315],
+        [canvases[2], 0, 0, 230, 315, 400, 0, 230, 315],
+      ]);
+    });
+    it('combines the progress and layer status of all blocks', () => {
+      layerSubjects
+        .slice(-3)
+        .forEach((layer$) => layer$.next([1, {}, undefined, 10, 1]));
+      layerSubjects[layerSubjects.length - 3].next([0.5, null, undefined, 4]);
+      const status = getLastStatus(largeJobId);
+      expect(status.progress).toBe(0.6667);
+      expect(status.layers[0]).toEqual({
+        progress: 0.75,
+        loadedCount: 11,
+        totalCount: 14,
+        errorCount: 1,
+        state: 'loading',
+      });
+    });
+    it('finishes once all blocks are printed', () => {
+      layerSubjects.slice(-3).forEach((layer$) => layer$.next([1, {}]));
+      expect(getLastStatus(largeJobId).status).toBe('ongoing');
+      layerSubjects.slice(-3).forEach((layer$) => layer$.next([1, {}]));
+      expect(getLastStatus(largeJobId)).toEqual(
+        expect.objectContaining({
+          status: 'finished',
+          progress: 1,
+          imageBlob: { blob: true },
+        })
+      );
+    });
+  });
+});
+
+describe('stored jobs restoration', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await writeJobStatus({
+      id: 1000,
+      spec,
+      status: 'finished',
+      progress: 1,
+    });
+    await writeJobStatus({
+      id: 1001,
+      spec,
+      status: 'ongoing',
+      progress: 0.5,
+    });
+    await restoreStoredJobs();
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    return clearStoredJobs();
+  });
+
+  it('marks the interrupted jobs as failed', async () => {
+    const jobs = await readStoredJobs();
+    expect(jobs.map((job) => [job.id, job.status])).toEqual([
+      [1000, 'finished'],
+      [1001, 'failed'],
+    ]);
+    expect(jobs[1].error).toMatchObject({ code: ERROR_INTERRUPTED });
+  });
+  it('gives new jobs an id following the highest stored one', () => {
+    const jobId = createJob(spec);
+    cancelJob(jobId);
+    expect(jobId).toBe(1002);
   });
 });
@@ -1,5 +1,12 @@
-import { createLayer } from '../../../src/printer/layers';
+import {
+  createLayer,
+  createTiledLayer,
+  registerLayerType,
+} from '../../../src/printer/layers';
 import { generateGetFeatureUrl } from '../../../src/printer/utils';
+import TileState from 'ol/TileState';
+import { BehaviorSubject, defer, of, throwError } from 'rxjs';
+import * as SchedulerMock from '../../../src/printer/scheduler';
 import ImageWMSSourceMock, {
   triggerLoadEnd,
   triggerLoadError,
@@ -42,28 +49,43 @@ const frameState = {
   wantedTiles: {},
 };
 
+class TileMock {
+  constructor() {
+    this.state = TileState.IDLE;
+  }
+  getState() {
+    return this.state;
+  }
+  getImage() {
+    return {};
+  }
+}
+
 class TileQueueMock {
   constructor(tileCount) {
-    this.remaining = tileCount;
-    this.queuedCount = tileCount;
+    this.tileCount = tileCount;
+    this.elements_ = [];
   }
   reprioritize() {}
   loadMoreTiles() {}
-  getTilesLoading() {
-    return this.remaining;
-  }
-  get queuedElements_() {
-    // this will generate an object with one key per tile
-    return new Array(this.queuedCount)
-      .fill(0)
-      .reduce((prev, curr, index) => ({ ...prev, [index]: true }), {});
+  _enqueueTiles(sourceKey) {
+    // tiles are only enqueued on the first render
+    if (this.elements_.length) {
+      return;
+    }
+    for (let i = 0; i < this.tileCount; i++) {
+      this.elements_.push([new TileMock(), sourceKey]);
+    }
   }
-  _setQueuedCount(count, remainingTilesCount) {
-    this.queuedCount = count;
-    this._setRemainingTiles(remainingTilesCount);
-  }
-  _setRemainingTiles(count) {
-    this.remaining = count;
+  _setRemainingTiles(count, errorCount = 0) {
+    this.elements_.forEach(([tile], index) => {
+      if (index < errorCount) {
+        tile.state = TileState.ERROR;
+      } else {
+        tile.state =
+          index < this.tileCount - count ? TileState.LOADED : TileState.LOADING;
+      }
+    });
     jest.runOnlyPendingTimers();
   }
 }
@@ -74,6 +96,10 @@ export class SourceEventMock {
   }
 }
 
+jest.mock('../../../src/printer/scheduler');
+
+SchedulerMock.scheduleTask = jest.fn((task) => defer(() => of(task())));
+
 jest.useFakeTimers();
 describe('layer creation', () => {
   describe('XYZ layer creation', () => {
@@ -100,41 +126,109 @@ describe('layer creation', () => {
       );
     });
 
-    it('initially emit a status with progress 0', () => {
-      expect(received).toEqual([0, null, undefined]);
+    it('initially emit a status with progress 0 and the tile count', () => {
+      expect(received).toEqual([0, null, undefined, 20, 0]);
     });
 
     it('status updates are sent regularly', () => {
-      tileQueue._setQueuedCount(12, 12);
-      expect(received).toEqual([0.4, null, undefined]);
+      tileQueue._setRemainingTiles(12);
+      expect(received).toEqual([0.4, null, undefined, 20, 0]);
 
-      tileQueue._setQueuedCount(2, 2);
-      expect(received).toEqual([0.9, null, undefined]);
+      tileQueue._setRemainingTiles(2);
+      expect(received).toEqual([0.9, null, undefined, 20, 0]);
     });
 
-    it('when no queued elements left but tiles are remaining, do not complete', () => {
-      tileQueue._setQueuedCount(0, 2);
-      expect(received).toEqual([0.999, null, undefined]);
+    it('when tiles are still loading, do not complete', () => {
+      tileQueue._setRemainingTiles(1);
+      expect(received).toEqual([0.95, null, undefined, 20, 0]);
+      expect(completed).toBeFalsy();
     });
 
     it('when observable completes, canvas is received', () => {
-      tileQueue._setQueuedCount(0, 0);
-      expect(received).toEqual([1, expect.objectContaining({}), undefined]);
+      tileQueue._setRemainingTiles(0);
+      expect(received).toEqual([
+        1,
+        expect.objectContaining({}),
+        undefined,
+        20,
+        0,
+      ]);
       expect(completed).toBeTruthy();
     });
 
     it('when error occurs during tile loading, error url is received', () => {
       triggerXYZError(tileErrorEventMock);
-      tileQueue._setQueuedCount(2, 2);
-      expect(received).toEqual([0.9, null, 'testurl']);
+      tileQueue._setRemainingTiles(2, 3);
+      expect(received).toEqual([0.9, null, 'testurl', 20, 3]);
     });
 
     it('when observable completes with error, canvas and error url are received', () => {
       triggerXYZError(tileErrorEventMock);
-      tileQueue._setQueuedCount(0, 0);
-      expect(received).toEqual([1, expect.objectContaining({}), 'testurl']);
+      tileQueue._setRemainingTiles(0, 1);
+      expect(received).toEqual([
+        1,
+        expect.objectContaining({}),
+        'testurl',
+        20,
+        1,
+      ]);
       expect(completed).toBeTruthy();
     });
+
+    it('when unsubscribed, stops loading tiles', () => {
+      const otherTileQueue = new TileQueueMock(20);
+      const loadSpy = jest.spyOn(otherTileQueue, 'loadMoreTiles');
+      createLayer(spec, { ...frameState, tileQueue: otherTileQueue })
+        .subscribe()
+        .unsubscribe();
+      loadSpy.mockClear();
+      otherTileQueue._setRemainingTiles(12);
+      expect(loadSpy).not.toHaveBeenCalled();
+    });
+
+    it('when paused, stops loading tiles until resumed', () => {
+      const otherTileQueue = new TileQueueMock(20);
+      const loadSpy = jest.spyOn(otherTileQueue, 'loadMoreTiles');
+      const paused$ = new BehaviorSubject(true);
+      const subscription = createLayer(
+        spec,
+        { ...frameState, tileQueue: otherTileQueue },
+        paused$
+      ).subscribe();
+      otherTileQueue._setRemainingTiles(12);
+      expect(loadSpy).not.toHaveBeenCalled();
+      paused$.next(false);
+      expect(loadSpy).toHaveBeenCalled();
+      subscription.unsubscribe();
+    });
+
+    it('reuses the source of a previous page', () => {
+      const sources = new Map();
+      const loadFunctionSpy = jest.spyOn(
+        XYZSourceMock.prototype,
+        'setTileLoadFunction'
+      );
+      createLayer(
+        spec,
+        { ...frameState, tileQueue: new TileQueueMock(20) },
+        undefined,
+        sources
+      )
+        .subscribe()
+        .unsubscribe();
+      const { source } = sources.get(spec);
+      createLayer(
+        spec,
+        { ...frameState, tileQueue: new TileQueueMock(20) },
+        undefined,
+        sources
+      )
+        .subscribe()
+        .unsubscribe();
+      expect(sources.get(spec).source).toBe(source);
+      expect(loadFunctionSpy).toHaveBeenCalledTimes(1);
+      loadFunctionSpy.mockRestore();
+    });
   });
 
   describe('WMS layer creation', () => {
@@ -148,36 +242,62 @@ describe('layer creation', () => {
     let layer$;
     let received;
     let completed;
+    let error;
     const imageWMSSourceMock = new ImageWMSSourceMock('testurl');
     const errorEventMock = new SourceEventMock(imageWMSSourceMock);
 
     beforeEach(() => {
       completed = false;
+      error = null;
       layer$ = createLayer(spec, frameState);
       layer$.subscribe(
         (status) => (received = status),
-        null,
+        (e) => (error = e),
         () => (completed = true)
       );
     });
 
     it('initially emit a status with progress 0', () => {
-      expect(received).toEqual([0, null, undefined]);
+      expect(received).toEqual([0, null, undefined, 1, 0]);
     });
 
     it('when observable completes, canvas is received', () => {
       triggerLoadEnd();
       jest.runOnlyPendingTimers();
 
-      expect(received).toEqual([1, expect.objectContaining({}), undefined]);
+      expect(received).toEqual([
+        1,
+        expect.objectContaining({}),
+        undefined,
+        1,
+        0,
+      ]);
       expect(completed).toBeTruthy();
     });
 
+    it('when rendering fails, the observable errors', () => {
+      const renderError = new Error('oops');
+      SchedulerMock.scheduleTask.mockImplementationOnce(() =>
+        throwError(renderError)
+      );
+      triggerLoadEnd();
+      jest.runOnlyPendingTimers();
+
+      expect(error).toBe(renderError);
+      expect(completed).toBe(false);
+    });
+
     it('when observable completes with error, canvas and error url are received', () => {
       triggerLoadError(errorEventMock);
       jest.runOnlyPendingTimers();
 
-      expect(received).toEqual([1, expect.objectContaining({}), 'testurl']);
+      expect(received).toEqual([
+        1,
+        expect.objectContaining({}),
+        'testurl',
+        1,
+        1,
+      ]);
       expect(completed).toBeTruthy();
     });
   });
@@ -209,39 +329,52 @@ describe('layer creation', () => {
       );
     });
 
-    it('initially emit a status with progress 0', () => {
-      expect(received).toEqual([0, null, undefined]);
+    it('initially emit a status with progress 0 and the tile count', () => {
+      expect(received).toEqual([0, null, undefined, 20, 0]);
     });
 
     it('status updates are sent regularly', () => {
-      tileQueue._setQueuedCount(12, 12);
-      expect(received).toEqual([0.4, null, undefined]);
+      tileQueue._setRemainingTiles(12);
+      expect(received).toEqual([0.4, null, undefined, 20, 0]);
 
-      tileQueue._setQueuedCount(2, 2);
-      expect(received).toEqual([0.9, null, undefined]);
+      tileQueue._setRemainingTiles(2);
+      expect(received).toEqual([0.9, null, undefined, 20, 0]);
     });
 
-    it('when no queued elements left but tiles are remaining, do not complete', () => {
-      tileQueue._setQueuedCount(0, 2);
-      expect(received).toEqual([0.999, null, undefined]);
+    it('when tiles are still loading, do not complete', () => {
+      tileQueue._setRemainingTiles(1);
+      expect(received).toEqual([0.95, null, undefined, 20, 0]);
+      expect(completed).toBeFalsy();
     });
 
     it('when observable completes, canvas is received', () => {
-      tileQueue._setQueuedCount(0, 0);
-      expect(received).toEqual([1, expect.objectContaining({}), undefined]);
+      tileQueue._setRemainingTiles(0);
+      expect(received).toEqual([
+        1,
+        expect.objectContaining({}),
+        undefined,
+        20,
+        0,
+      ]);
       expect(completed).toBeTruthy();
     });
 
     it('when error occurs during tile loading, error url is received', () => {
       triggerTileWMSError(tileErrorEventMock);
-      tileQueue._setQueuedCount(2, 2);
-      expect(received).toEqual([0.9, null, 'testurl']);
+      tileQueue._setRemainingTiles(2, 3);
+      expect(received).toEqual([0.9, null, 'testurl', 20, 3]);
     });
 
     it('when observable completes with error, canvas and error url are received', () => {
       triggerTileWMSError(tileErrorEventMock);
-      tileQueue._setQueuedCount(0, 0);
-      expect(received).toEqual([1, expect.objectContaining({}), 'testurl']);
+      tileQueue._setRemainingTiles(0, 1);
+      expect(received).toEqual([
+        1,
+        expect.objectContaining({}),
+        'testurl',
+        20,
+        1,
+      ]);
       expect(completed).toBeTruthy();
     });
   });
@@ -270,7 +403,7 @@ describe('layer creation', () => {
     });
 
     it('initially emit a status with progress 0', () => {
-      expect(received).toEqual([0, null]);
+      expect(received).toEqual([0, null, undefined, 1, 0]);
     });
 
     it('generates GetFeature URL according to spec', () => {
@@ -288,6 +421,54 @@ describe('layer creation', () => {
     });
   });
 
+  describe('custom layer types', () => {
+    /** @type {Layer} */
+    const spec = {
+      type: 'MyTiles',
+      url: 'https://my.url/tiles',
+    };
+    let factory;
+
+    beforeEach(() => {
+      factory = jest.fn(() => of([1, null, undefined, 0, 0]));
+      registerLayerType('MyTiles', factory);
+    });
+
+    it('returns undefined for an unknown layer type', () => {
+      expect(createLayer({ type: 'Unknown' }, frameState)).toBeUndefined();
+    });
+
+    it('calls the registered factory with the spec and frame state', () => {
+      let received;
+      createLayer(spec, frameState).subscribe((status) => (received = status));
+      expect(factory).toHaveBeenCalledWith(
+        spec,
+        frameState,
+        expect.anything(),
+        undefined
+      );
+      expect(received).toEqual([1, null, undefined, 0, 0]);
+    });
+
+    it('can print a custom tile source', () => {
+      let received;
+      const tileQueue = new TileQueueMock(10);
+      registerLayerType('MyTiles', (layerSpec, rootFrameState, paused$) =>
+        createTiledLayer(
+          () => new XYZSourceMock({ url: layerSpec.url }),
+          rootFrameState,
+          layerSpec,
+          paused$
+        )
+      );
+      createLayer(spec, { ...frameState, tileQueue }).subscribe(
+        (status) => (received = status)
+      );
+      tileQueue._setRemainingTiles(5);
+      expect(received).toEqual([0.5, null, undefined, 10, 0]);
+    });
+  });
+
   afterEach(() => {
     jest.clearAllTimers();
   });
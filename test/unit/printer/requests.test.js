@@ -0,0 +1,197 @@
+import {
+  fetchWithRetry,
+  getProxiedUrl,
+  getRequestInit,
+  loadImage,
+} from '../../../src/printer/requests';
+import {
+  getProxy,
+  getRetryPolicy,
+  updatePrinterOptions,
+} from '../../../src/printer/options';
+
+const policy = {
+  maxAttempts: 3,
+  delay: 10,
+  backoffFactor: 2,
+  statuses: [503],
+};
+
+function createResponse(status) {
+  return {
+    ok: status < 400,
+    status,
+    blob: () => Promise.resolve({ blob: true }),
+  };
+}
+
+function createAbortError() {
+  const error = new Error('Aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+describe('requests', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn(() => Promise.resolve(createResponse(200)));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('fetchWithRetry', () => {
+    it('resolves with the response when the request succeeds', async () => {
+      const response = await fetchWithRetry('https://my.url', policy);
+      expect(response.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+    it('retries with an increasing delay until the request succeeds', async () => {
+      const timeoutSpy = jest.spyOn(global, 'setTimeout');
+      fetch
+        .mockReturnValueOnce(Promise.resolve(createResponse(503)))
+        .mockImplementationOnce(() =>
+          Promise.reject(new TypeError('Network error'))
+        );
+      const response = await fetchWithRetry('https://my.url', policy);
+      expect(response.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(timeoutSpy.mock.calls.map(([, delay]) => delay)).toEqual([10, 20]);
+      timeoutSpy.mockRestore();
+    });
+    it('rejects with the last error after the maximum attempts', async () => {
+      fetch.mockReturnValue(Promise.resolve(createResponse(503)));
+      await expect(fetchWithRetry('https://my.url', policy)).rejects.toEqual(
+        expect.objectContaining({ status: 503 })
+      );
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+    it('does not retry other statuses', async () => {
+      fetch.mockReturnValue(Promise.resolve(createResponse(404)));
+      await expect(fetchWithRetry('https://my.url', policy)).rejects.toEqual(
+        expect.objectContaining({ status: 404 })
+      );
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+    it('does not retry aborted requests', async () => {
+      fetch.mockImplementation(() => Promise.reject(createAbortError()));
+      await expect(fetchWithRetry('https://my.url', policy)).rejects.toEqual(
+        expect.objectContaining({ name: 'AbortError' })
+      );
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('loadImage', () => {
+    let image;
+
+    beforeEach(() => {
+      image = new Image();
+      URL.createObjectURL = jest.fn(() => 'blob:image');
+      URL.revokeObjectURL = jest.fn();
+    });
+
+    it('sets the image src to the loaded blob', async () => {
+      loadImage(image, 'https://my.url', policy);
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(URL.createObjectURL).toHaveBeenCalledWith({ blob: true });
+      expect(image.src).toBe('blob:image');
+    });
+    it('sends the request with the given headers', async () => {
+      const headers = { Authorization: 'Bearer abcd' };
+      loadImage(image, 'https://my.url', policy, undefined, { headers });
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(fetch).toHaveBeenCalledWith('https://my.url', {
+        headers,
+        signal: undefined,
+      });
+    });
+    it('dispatches an error event if the image cannot be loaded', async () => {
+      const errorSpy = jest.fn();
+      image.addEventListener('error', errorSpy);
+      fetch.mockReturnValue(Promise.resolve(createResponse(404)));
+      loadImage(image, 'https://my.url', policy);
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(errorSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('getRequestInit', () => {
+    it('returns the headers and credentials mode of the layer', () => {
+      const headers = { 'X-Api-Key': 'abcd' };
+      expect(
+        getRequestInit({ type: 'WMS', headers, credentials: 'include' })
+      ).toEqual({ headers, credentials: 'include' });
+    });
+    it('returns no option for a layer without any', () => {
+      expect(getRequestInit({ type: 'XYZ' })).toEqual({});
+    });
+  });
+
+  describe('proxy', () => {
+    afterEach(() => {
+      updatePrinterOptions({ proxy: undefined });
+    });
+
+    it('replaces {url} in a template with the encoded url', () => {
+      expect(
+        getProxiedUrl(
+          'https://my.url/wms?LAYERS=a&BBOX=1,2',
+          'https://my.proxy/?url={url}'
+        )
+      ).toBe(
+        'https://my.proxy/?url=https%3A%2F%2Fmy.url%2Fwms%3FLAYERS%3Da%26BBOX%3D1%2C2'
+      );
+    });
+    it('calls a proxy function with the absolute url', () => {
+      const proxy = jest.fn((url) => `https://my.proxy/${url}`);
+      expect(getProxiedUrl('/tiles/1/2/3.png', proxy)).toBe(
+        'https://my.proxy/http://localhost/tiles/1/2/3.png'
+      );
+    });
+    it('does not proxy object urls', () => {
+      expect(getProxiedUrl('blob:image', 'https://my.proxy/?url={url}')).toBe(
+        'blob:image'
+      );
+    });
+    it('fetches through the proxy', async () => {
+      await fetchWithRetry(
+        'https://my.url',
+        policy,
+        undefined,
+        undefined,
+        'https://my.proxy/{url}'
+      );
+      expect(fetch).toHaveBeenCalledWith(
+        'https://my.proxy/https%3A%2F%2Fmy.url%2F',
+        {
+          signal: undefined,
+        }
+      );
+    });
+    it('gives precedence to the layer proxy, which can disable it', () => {
+      updatePrinterOptions({ proxy: 'https://my.proxy/{url}' });
+      expect(getProxy({ type: 'XYZ' })).toBe('https://my.proxy/{url}');
+      expect(
+        getProxy({ type: 'XYZ', proxy: 'https://other.proxy/{url}' })
+      ).toBe('https://other.proxy/{url}');
+      expect(getProxy({ type: 'XYZ', proxy: false })).toBe(null);
+    });
+  });
+
+  describe('getRetryPolicy', () => {
+    afterEach(() => {
+      updatePrinterOptions({ retry: undefined });
+    });
+
+    it('gives precedence to the layer, then the printer options', () => {
+      updatePrinterOptions({ retry: { maxAttempts: 5, delay: 100 } });
+      expect(getRetryPolicy({ type: 'XYZ', retry: { delay: 200 } })).toEqual({
+        maxAttempts: 5,
+        delay: 200,
+        backoffFactor: 2,
+        statuses: [408, 429, 500, 502, 503, 504],
+      });
+    });
+  });
+});
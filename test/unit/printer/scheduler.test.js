@@ -0,0 +1,56 @@
+import { scheduleTask } from '../../../src/printer/scheduler';
+
+jest.useFakeTimers();
+
+describe('scheduler', () => {
+  describe('scheduleTask', () => {
+    let task;
+
+    beforeEach(() => {
+      task = jest.fn(() => 'result');
+    });
+
+    afterEach(() => {
+      delete window.requestIdleCallback;
+      delete window.cancelIdleCallback;
+      jest.clearAllTimers();
+    });
+
+    it('runs the task on a later macrotask on the main thread', () => {
+      let received;
+      let completed = false;
+      scheduleTask(task).subscribe(
+        (result) => (received = result),
+        null,
+        () => (completed = true)
+      );
+      expect(task).not.toHaveBeenCalled();
+      jest.runOnlyPendingTimers();
+      expect(received).toBe('result');
+      expect(completed).toBe(true);
+    });
+    it('does not run the task if unsubscribed before', () => {
+      scheduleTask(task).subscribe().unsubscribe();
+      jest.runOnlyPendingTimers();
+      expect(task).not.toHaveBeenCalled();
+    });
+    it('emits an error thrown by the task', () => {
+      let error;
+      scheduleTask(() => {
+        throw new Error('oops');
+      }).subscribe({ error: (e) => (error = e) });
+      jest.runOnlyPendingTimers();
+      expect(error.message).toBe('oops');
+    });
+    it('uses requestIdleCallback when available', () => {
+      window.requestIdleCallback = jest.fn(() => 12);
+      window.cancelIdleCallback = jest.fn();
+      scheduleTask(task).subscribe().unsubscribe();
+      expect(window.requestIdleCallback).toHaveBeenCalledWith(
+        expect.any(Function),
+        { timeout: 100 }
+      );
+      expect(window.cancelIdleCallback).toHaveBeenCalledWith(12);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { migrateSpec } from '../../../src/shared/migrations';
+
+/** @type {PrintSpec} */
+const spec = {
+  layers: [{ type: 'XYZ', url: 'https://my.url/{z}/{x}/{y}.png' }],
+  size: [800, 600],
+  center: [12, 48],
+  dpi: 200,
+  scale: 40000000,
+  projection: 'EPSG:2154',
+};
+
+const projectionDefinition = {
+  name: 'EPSG:2154',
+  proj4:
+    '+proj=lcc +lat_1=49 +lat_2=44 +lat_0=46.5 +lon_0=3 +x_0=700000 +y_0=6600000 +ellps=GRS80 +units=m +no_defs',
+  bbox: [51.56, -9.86, 41.15, 10.38],
+};
+
+describe('spec migrations', () => {
+  it('adds the current version to a spec without version', () => {
+    expect(migrateSpec(spec)).toEqual({ ...spec, version: 2 });
+  });
+
+  it('returns a spec of the current version as is', () => {
+    const currentSpec = { ...spec, version: 2 };
+    expect(migrateSpec(currentSpec)).toBe(currentSpec);
+  });
+
+  it('returns a spec of an unsupported version as is', () => {
+    const futureSpec = { ...spec, version: 3 };
+    expect(migrateSpec(futureSpec)).toBe(futureSpec);
+  });
+
+  describe('from version 1', () => {
+    let oldSpec;
+    let warnings;
+    let migrated;
+
+    beforeEach(() => {
+      oldSpec = {
+        ...spec,
+        projectionDefinition,
+        scaleBar: true,
+      };
+      warnings = [];
+      migrated = migrateSpec(oldSpec, warnings);
+    });
+
+    it('upgrades the deprecated values', () => {
+      expect(migrated).toEqual({
+        ...spec,
+        projectionDefinitions: [projectionDefinition],
+        scaleBar: {},
+        version: 2,
+      });
+    });
+
+    it('does not modify the original spec', () => {
+      expect(oldSpec.projectionDefinition).toBe(projectionDefinition);
+      expect(oldSpec.scaleBar).toBe(true);
+    });
+
+    it('warns about each deprecated value', () => {
+      expect(warnings.map((warning) => [warning.level, warning.path])).toEqual([
+        ['warning', 'projectionDefinition'],
+        ['warning', 'scaleBar'],
+      ]);
+    });
+
+    it('removes a disabled scale bar', () => {
+      expect(migrateSpec({ ...spec, scaleBar: false })).toEqual({
+        ...spec,
+        version: 2,
+      });
+    });
+  });
+});
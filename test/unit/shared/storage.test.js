@@ -0,0 +1,94 @@
+import 'fake-indexeddb/auto';
+import {
+  clearStoredJobs,
+  readStoredJobResult,
+  readStoredJobs,
+  writeJobStatus,
+} from '../../../src/shared/storage';
+
+/** @type {PrintSpec} */
+const spec = {
+  layers: [
+    {
+      type: 'XYZ',
+      url: 'https://my.url/{z}/{x}/{y}.png',
+      headers: { Authorization: 'Bearer abcd' },
+    },
+  ],
+  size: [210, 297, 'mm'],
+  center: [12, 48],
+  dpi: 200,
+  scale: 40000000,
+  projection: 'EPSG:3857',
+};
+
+describe('job storage', () => {
+  afterEach(() => clearStoredJobs());
+
+  it('stores the job status, replacing the previous one', async () => {
+    await writeJobStatus({ id: 1, spec, status: 'pending', progress: 0 });
+    await writeJobStatus({ id: 2, spec, status: 'pending', progress: 0 });
+    await writeJobStatus({ id: 1, spec, status: 'ongoing', progress: 0.5 });
+    const jobs = await readStoredJobs();
+    expect(jobs.map((job) => [job.id, job.status])).toEqual([
+      [1, 'ongoing'],
+      [2, 'pending'],
+    ]);
+  });
+
+  it('leaves the layer headers out of the stored spec', async () => {
+    await writeJobStatus({ id: 1, spec, status: 'pending', progress: 0 });
+    const [job] = await readStoredJobs();
+    expect(job.spec.layers).toEqual([
+      { type: 'XYZ', url: 'https://my.url/{z}/{x}/{y}.png' },
+    ]);
+    expect(spec.layers[0].headers).toEqual({ Authorization: 'Bearer abcd' });
+  });
+
+  it('stores the image blob separately', async () => {
+    const imageBlob = { blob: true };
+    await writeJobStatus({
+      id: 1,
+      spec,
+      status: 'finished',
+      progress: 1,
+      imageBlob,
+    });
+    const [job] = await readStoredJobs();
+    expect(job.imageBlob).toBeUndefined();
+    expect(await readStoredJobResult(1)).toEqual(imageBlob);
+  });
+
+  it('stores the image blobs of an atlas', async () => {
+    const imageBlobs = [{ page: 1 }, { page: 2 }];
+    await writeJobStatus({
+      id: 1,
+      spec,
+      status: 'finished',
+      progress: 1,
+      imageBlobs,
+    });
+    const [job] = await readStoredJobs();
+    expect(job.imageBlobs).toBeUndefined();
+    expect(await readStoredJobResult(1)).toEqual(imageBlobs);
+  });
+
+  it('resolves to null for a job without result', async () => {
+    await writeJobStatus({ id: 1, spec, status: 'ongoing', progress: 0.5 });
+    expect(await readStoredJobResult(1)).toBe(null);
+    expect(await readStoredJobResult(2)).toBe(null);
+  });
+
+  it('removes all the jobs and results', async () => {
+    await writeJobStatus({
+      id: 1,
+      spec,
+      status: 'finished',
+      progress: 1,
+      imageBlob: { blob: true },
+    });
+    await clearStoredJobs();
+    expect(await readStoredJobs()).toEqual([]);
+    expect(await readStoredJobResult(1)).toBe(null);
+  });
+});
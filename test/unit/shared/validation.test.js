@@ -0,0 +1,239 @@
+import {
+  getWorkerOptionsError,
+  getWorkerSpecError,
+  validateSpec,
+} from '../../../src/shared/validation';
+
+/** @type {PrintSpec} */
+const spec = {
+  layers: [
+    {
+      type: 'XYZ',
+      url: 'https://my.url/{z}/{x}/{y}.png',
+      opacity: 0.5,
+    },
+    {
+      type: 'WMTS',
+      url: 'https://my.url/wmts',
+      requestEncoding: 'REST',
+      layer: 'my:layername',
+      style: 'default',
+      projection: 'EPSG:3857',
+      matrixSet: 'EPSG:3857',
+      tileGrid: {
+        resolutions: [1000, 500, 250],
+        matrixIds: ['0', '1', '2'],
+        tileSize: 256,
+      },
+    },
+    {
+      type: 'WFS',
+      url: 'https://my.url/wfs',
+      layer: 'my:layername',
+      format: 'geojson',
+      headers: { Authorization: 'Bearer abcd' },
+      credentials: 'include',
+      proxy: 'https://my.proxy/?url={url}',
+    },
+  ],
+  size: [210, 297, 'mm'],
+  center: [12, 48],
+  dpi: 200,
+  scale: 40000000,
+  projection: 'EPSG:3857',
+  northArrow: 'bottom-left',
+  scaleBar: { position: 'bottom-right', units: 'metric' },
+};
+
+describe('spec validation', () => {
+  it('returns no issue for a valid spec', () => {
+    expect(validateSpec(spec)).toEqual([]);
+  });
+
+  it('returns an error for a value which is not an object', () => {
+    expect(validateSpec(null)).toEqual([
+      {
+        level: 'error',
+        code: 'invalidSpec',
+        path: '',
+        message: 'The spec must be an object',
+      },
+    ]);
+  });
+
+  it('returns an error for each invalid value, with its path', () => {
+    const issues = validateSpec({
+      ...spec,
+      dpi: undefined,
+      size: [210, 297, 'pt'],
+      northArrow: 'middle',
+      scaleBar: { units: 'miles' },
+      timeoutPolicy: 'retry',
+    });
+    expect(issues.map((issue) => [issue.level, issue.path])).toEqual([
+      ['error', 'size[2]'],
+      ['error', 'dpi'],
+      ['error', 'northArrow'],
+      ['error', 'scaleBar.units'],
+      ['error', 'timeoutPolicy'],
+    ]);
+    expect(issues[0].message).toBe(
+      "The size unit must be one of 'px', 'mm', 'cm', 'm', 'in'"
+    );
+  });
+
+  it('returns an error with a specific code for missing layers', () => {
+    expect(validateSpec({ ...spec, layers: [] })).toEqual([
+      {
+        level: 'error',
+        code: 'noLayers',
+        path: 'layers',
+        message: 'The spec does not contain any layer',
+      },
+    ]);
+  });
+
+  it('checks layers according to their type', () => {
+    const wmtsLayer = spec.layers[1];
+    const issues = validateSpec({
+      ...spec,
+      layers: [
+        { type: 'XYZ', opacity: 2 },
+        { ...wmtsLayer, tileGrid: { tileSize: 256 } },
+        { ...wmtsLayer, tileGrid: { ...wmtsLayer.tileGrid, matrixIds: [] } },
+        { type: 'WFS', url: 'https://my.url/wfs', layer: 'a', version: '3' },
+        { type: 'WMS', url: 'https://my.url/wms', retry: { maxAttempts: 0 } },
+        {
+          type: 'XYZ',
+          url: 'https://my.url/{z}/{x}/{y}.png',
+          headers: { Authorization: 42 },
+          credentials: 'always',
+          proxy: 'https://my.proxy/',
+        },
+      ],
+    });
+    expect(issues.map((issue) => issue.path)).toEqual([
+      'layers[0].opacity',
+      'layers[0].url',
+      'layers[1].tileGrid.resolutions',
+      'layers[2].tileGrid.matrixIds',
+      'layers[3].version',
+      'layers[4].retry.maxAttempts',
+      'layers[4].layer',
+      'layers[5].headers',
+      'layers[5].proxy',
+      'layers[5].credentials',
+    ]);
+  });
+
+  it('returns warnings for values which may not be printed as expected', () => {
+    const issues = validateSpec({
+      ...spec,
+      projection: 'custom:1234',
+      layers: [
+        { type: 'MyTiles' },
+        { ...spec.layers[1], requestEncoding: 'KVP' },
+      ],
+    });
+    expect(issues).toEqual([
+      {
+        level: 'warning',
+        path: 'layers[0].type',
+        message:
+          'MyTiles is not a built-in layer type; it must be registered with registerLayerType',
+      },
+      {
+        level: 'warning',
+        path: 'layers[1].format',
+        message: 'No image format is given for KVP requests',
+      },
+      {
+        level: 'warning',
+        path: 'projection',
+        message:
+          'The projection custom:1234 must be registered with registerProjection',
+      },
+    ]);
+  });
+
+  it('checks deprecated values once migrated', () => {
+    const issues = validateSpec({ ...spec, scaleBar: true, dpi: 0 });
+    expect(issues.map((issue) => [issue.level, issue.path])).toEqual([
+      ['warning', 'scaleBar'],
+      ['error', 'dpi'],
+    ]);
+  });
+
+  it('returns an error for an unsupported version', () => {
+    expect(validateSpec({ ...spec, version: 3 })).toEqual([
+      {
+        level: 'error',
+        code: 'invalidSpec',
+        path: 'version',
+        message: 'The spec version 3 is not supported, the latest is 2',
+      },
+    ]);
+  });
+
+  describe('atlas', () => {
+    it('accepts pages providing the center and scale', () => {
+      expect(
+        validateSpec({
+          ...spec,
+          center: undefined,
+          scale: undefined,
+          pages: [
+            { center: [2, 46], scale: 50000 },
+            { extent: [5, 45, 6, 46] },
+            { geometry: { type: 'Point', coordinates: [7, 47] } },
+          ],
+        })
+      ).toEqual([]);
+    });
+
+    it('returns errors for invalid pages', () => {
+      const issues = validateSpec({
+        ...spec,
+        center: undefined,
+        pages: [{ scale: -1 }, { extent: [5, 45] }],
+      });
+      expect(issues.map((issue) => issue.path)).toEqual([
+        'pages[0].scale',
+        'pages[1].extent',
+        'center',
+      ]);
+    });
+
+    it('returns an error with a specific code for an empty atlas', () => {
+      expect(validateSpec({ ...spec, pages: [] })[0]).toMatchObject({
+        code: 'noPages',
+        path: 'pages',
+      });
+    });
+  });
+});
+
+describe('worker spec validation', () => {
+  it('returns no error for values which can be sent to a worker', () => {
+    expect(getWorkerSpecError(spec)).toBe(null);
+    expect(
+      getWorkerOptionsError({ proxy: 'https://my.proxy/?url={url}' })
+    ).toBe(null);
+  });
+
+  it('returns an error for a layer proxy function', () => {
+    const layers = [...spec.layers];
+    layers[1] = { ...layers[1], proxy: (url) => url };
+    expect(getWorkerSpecError({ ...spec, layers })).toMatchObject({
+      code: 'invalidSpec',
+      path: 'layers[1].proxy',
+    });
+  });
+
+  it('returns an error for a proxy function in the printer options', () => {
+    expect(getWorkerOptionsError({ proxy: (url) => url })).toMatchObject({
+      code: 'invalidSpec',
+      path: 'proxy',
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const path = require('path');
+
+// bundles the Node.js entry point, used by the CLI and the rendering tests
+module.exports = {
+  mode: 'production',
+  target: 'node',
+  entry: {
+    ['inkmap-node']: path.resolve(__dirname, 'src/node/index.js'),
+  },
+  output: {
+    path: path.resolve(__dirname, 'dist'),
+    filename: '[name].js',
+    libraryTarget: 'commonjs2',
+  },
+  optimization: {
+    minimize: false,
+  },
+  module: {
+    rules: [
+      {
+        test: /\.js$/,
+        exclude: /node_modules/,
+        use: {
+          loader: 'babel-loader',
+          options: {
+            presets: [['@babel/preset-env', { targets: { node: '18' } }]],
+          },
+        },
+      },
+    ],
+  },
+};